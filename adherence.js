@@ -0,0 +1,301 @@
+const mongoose = require("mongoose");
+const { MedicationSchedule, Dose } = require("./models");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Dose times are local to the pharmacy (Botswana is UTC+2 all year)
+const DOSE_UTC_OFFSET_HOURS = Number(process.env.DOSE_UTC_OFFSET_HOURS ?? 2);
+const DOSE_SNOOZE_MINUTES = Number(process.env.DOSE_SNOOZE_MINUTES) || 30;
+// Unanswered doses count as missed after this long
+const DOSE_MISSED_AFTER_HOURS =
+  Number(process.env.DOSE_MISSED_AFTER_HOURS) || 4;
+
+const DOSE_TIMES = {
+  1: ["08:00"],
+  2: ["08:00", "20:00"],
+  3: ["08:00", "14:00", "20:00"],
+  4: ["08:00", "12:00", "16:00", "20:00"],
+};
+
+const FREQUENCY_ABBREVIATIONS = {
+  od: 1,
+  qd: 1,
+  daily: 1,
+  nocte: 1,
+  bd: 2,
+  bid: 2,
+  tds: 3,
+  tid: 3,
+  qds: 4,
+  qid: 4,
+};
+
+const COUNT_WORDS = {
+  once: 1,
+  one: 1,
+  twice: 2,
+  two: 2,
+  thrice: 3,
+  three: 3,
+  four: 4,
+};
+
+// Doses per day from prescription shorthand ("BD", "TDS") or plain text
+// ("twice daily", "3 times a day", "every 8 hours"). Null if not understood.
+function dosesPerDay(frequency) {
+  const text = String(frequency || "")
+    .toLowerCase()
+    .trim();
+
+  const abbreviation = text.replace(/[^a-z]/g, "");
+  if (FREQUENCY_ABBREVIATIONS[abbreviation]) {
+    return FREQUENCY_ABBREVIATIONS[abbreviation];
+  }
+
+  const hourly = text.match(/every\s+(\d+)\s*(?:hours?|hrs?|h)\b/);
+  if (hourly) {
+    const hours = Number(hourly[1]);
+    return hours > 0 && hours <= 24 ? Math.floor(24 / hours) : null;
+  }
+
+  const daily = text.match(
+    /\b(\d+|once|one|twice|two|thrice|three|four)\s*(?:x|times?)?\s*(?:a|per|each)?\s*(?:day|daily)\b/
+  );
+  if (daily) {
+    const count = COUNT_WORDS[daily[1]] || Number(daily[1]);
+    return count > 0 ? count : null;
+  }
+
+  return null;
+}
+
+// Spread doses over the waking day, or evenly around the clock when there
+// are more than four
+function doseTimesFor(frequency) {
+  const count = dosesPerDay(frequency);
+  if (!count) {
+    return null;
+  }
+  if (DOSE_TIMES[count]) {
+    return DOSE_TIMES[count];
+  }
+  return Array.from({ length: count }, (_, index) => {
+    const minutes = (6 * 60 + Math.round((index * 24 * 60) / count)) % 1440;
+    return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(
+      minutes % 60
+    ).padStart(2, "0")}`;
+  });
+}
+
+const DURATION_UNITS = { day: 1, week: 7, month: 30 };
+
+// Days from text like "7 days", "2 weeks" or "1 month". Ongoing medication
+// returns Infinity; anything else null.
+function durationDays(duration) {
+  const text = String(duration || "")
+    .toLowerCase()
+    .trim();
+  if (/ongoing|chronic|continuous|long[\s-]?term|indefinite/.test(text)) {
+    return Infinity;
+  }
+  const match = text.match(/(\d+)\s*(day|week|month)s?\b/);
+  return match ? Number(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+// Create a schedule for each medication on a verified prescription. Returns
+// the schedules and the names of medications whose frequency or duration
+// couldn't be understood, which a pharmacist has to follow up on.
+async function createSchedules(prescription, startDate = new Date()) {
+  const schedules = [];
+  const unscheduled = [];
+
+  for (const medication of prescription.medicationDetails) {
+    const doseTimes = doseTimesFor(medication.frequency);
+    const days = durationDays(medication.duration);
+    if (!medication.name || !doseTimes || !days) {
+      unscheduled.push(medication.name);
+      continue;
+    }
+
+    schedules.push(
+      await MedicationSchedule.create({
+        user: prescription.userId,
+        prescription: prescription._id,
+        medicationName: medication.name,
+        dosage: medication.dosage,
+        doseTimes,
+        startDate,
+        endDate:
+          days === Infinity
+            ? undefined
+            : new Date(startDate.getTime() + days * DAY_MS),
+      })
+    );
+  }
+
+  return { schedules, unscheduled };
+}
+
+// Times in (from, to] when a dose falls due
+function doseTimesBetween(doseTimes, from, to) {
+  const offset = DOSE_UTC_OFFSET_HOURS * HOUR_MS;
+  const times = [];
+  const localFrom = from.getTime() + offset;
+  for (
+    let midnight = localFrom - (localFrom % DAY_MS) - offset;
+    midnight <= to.getTime();
+    midnight += DAY_MS
+  ) {
+    for (const time of doseTimes) {
+      const [hours, minutes] = time.split(":").map(Number);
+      const at = midnight + hours * HOUR_MS + minutes * 60 * 1000;
+      if (at > from.getTime() && at <= to.getTime()) {
+        times.push(new Date(at));
+      }
+    }
+  }
+  return times;
+}
+
+// Create the doses for the next two days. Doses are created ahead of time so
+// that a restart doesn't lose any, and the unique index keeps them from being
+// created twice.
+async function scheduleDoses(now = new Date()) {
+  const until = new Date(now.getTime() + 2 * DAY_MS);
+  const schedules = await MedicationSchedule.find({
+    active: true,
+    $or: [
+      { generatedUntil: null },
+      { generatedUntil: { $lt: new Date(now.getTime() + DAY_MS) } },
+    ],
+  });
+
+  for (const schedule of schedules) {
+    const end =
+      schedule.endDate && schedule.endDate < until ? schedule.endDate : until;
+    const from = schedule.generatedUntil || schedule.startDate;
+    for (const scheduledAt of doseTimesBetween(schedule.doseTimes, from, end)) {
+      await Dose.updateOne(
+        { schedule: schedule._id, scheduledAt },
+        {
+          $setOnInsert: {
+            user: schedule.user,
+            medicationName: schedule.medicationName,
+            dosage: schedule.dosage,
+            remindAt: scheduledAt,
+          },
+        },
+        { upsert: true }
+      );
+    }
+
+    schedule.generatedUntil = end;
+    if (schedule.endDate && schedule.endDate <= until) {
+      schedule.active = false;
+    }
+    await schedule.save();
+  }
+}
+
+async function markMissedDoses(now = new Date()) {
+  await Dose.updateMany(
+    {
+      status: { $in: ["SCHEDULED", "SENT"] },
+      scheduledAt: {
+        $lt: new Date(now.getTime() - DOSE_MISSED_AFTER_HOURS * HOUR_MS),
+      },
+    },
+    { $set: { status: "MISSED" } }
+  );
+}
+
+async function usersWithDueDoses(now = new Date()) {
+  return Dose.distinct("user", {
+    status: "SCHEDULED",
+    remindAt: { $lte: now },
+  });
+}
+
+// Take the patient's earliest due dose for reminding, if any
+async function claimDueDose(userId, now = new Date()) {
+  return Dose.findOneAndUpdate(
+    { user: userId, status: "SCHEDULED", remindAt: { $lte: now } },
+    { $set: { status: "SENT", sentAt: now } },
+    { sort: { remindAt: 1 }, new: true }
+  );
+}
+
+// Record the patient's answer to a reminder: TAKEN, SKIPPED or SNOOZE.
+// A dose that already counted as missed can still be marked taken or
+// skipped, but not snoozed. Returns null if the dose can't be answered.
+async function recordDoseResponse(doseId, userId, response, now = new Date()) {
+  if (!mongoose.isValidObjectId(doseId)) {
+    return null;
+  }
+  if (response === "SNOOZE") {
+    return Dose.findOneAndUpdate(
+      { _id: doseId, user: userId, status: "SENT" },
+      {
+        $set: {
+          status: "SCHEDULED",
+          remindAt: new Date(now.getTime() + DOSE_SNOOZE_MINUTES * 60 * 1000),
+        },
+        $inc: { snoozeCount: 1 },
+      },
+      { new: true }
+    );
+  }
+  return Dose.findOneAndUpdate(
+    { _id: doseId, user: userId, status: { $in: ["SENT", "MISSED"] } },
+    { $set: { status: response, respondedAt: now } },
+    { new: true }
+  );
+}
+
+// Share of answered or missed doses that were taken, per patient and
+// medication
+async function adherenceReport(filter = {}) {
+  const rows = await Dose.aggregate([
+    {
+      $match: {
+        ...filter,
+        status: { $in: ["TAKEN", "SKIPPED", "MISSED"] },
+      },
+    },
+    {
+      $group: {
+        _id: { user: "$user", medicationName: "$medicationName" },
+        taken: { $sum: { $cond: [{ $eq: ["$status", "TAKEN"] }, 1, 0] } },
+        skipped: { $sum: { $cond: [{ $eq: ["$status", "SKIPPED"] }, 1, 0] } },
+        missed: { $sum: { $cond: [{ $eq: ["$status", "MISSED"] }, 1, 0] } },
+        total: { $sum: 1 },
+      },
+    },
+    { $sort: { "_id.user": 1, "_id.medicationName": 1 } },
+  ]);
+
+  return rows.map(({ _id, taken, skipped, missed, total }) => ({
+    user: _id.user,
+    medicationName: _id.medicationName,
+    taken,
+    skipped,
+    missed,
+    total,
+    adherence: Math.round((taken / total) * 100),
+  }));
+}
+
+module.exports = {
+  DOSE_SNOOZE_MINUTES,
+  dosesPerDay,
+  doseTimesFor,
+  durationDays,
+  createSchedules,
+  scheduleDoses,
+  markMissedDoses,
+  usersWithDueDoses,
+  claimDueDose,
+  recordDoseResponse,
+  adherenceReport,
+};
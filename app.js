@@ -1,3 +1,4 @@
+const crypto = require("crypto");
 const express = require("express");
 const mongoose = require("mongoose");
 const axios = require("axios");
@@ -6,349 +7,635 @@ const dotenv = require("dotenv");
 
 dotenv.config();
 
-const app = express();
-app.use(bodyParser.json());
-
-// User Schema
-const userSchema = new mongoose.Schema({
-  phoneNumber: { type: String, unique: true, required: true },
-  firstName: { type: String, default: null },
-  surname: { type: String, default: null },
-  dateOfBirth: { type: Date, default: null },
-  gender: {
-    type: String,
-    enum: ["MALE", "FEMALE"],
-    default: null,
-  },
-  medicalAidProvider: { type: String, default: null },
-  medicalAidNumber: { type: String, default: null },
-  scheme: { type: String, default: null },
-  dependentNumber: { type: String, default: null },
-  isRegistrationComplete: { type: Boolean, default: false },
-  lastInteraction: { type: Date, default: Date.now },
-  addresses: {
-    home: { type: String, default: null },
-    work: { type: String, default: null },
-  },
-  preferences: {
-    notificationPreference: {
-      type: String,
-      enum: ["SMS", "WhatsApp", "Email"],
-      default: "WhatsApp",
-    },
-    language: { type: String, default: "English" },
-  },
-  conversationState: {
-    currentFlow: { type: String, default: null },
-    currentStep: { type: String, default: null },
-    data: {
-      type: Map,
-      of: mongoose.Schema.Types.Mixed,
-      default: () => new Map(),
-    },
-    lastUpdated: { type: Date, default: Date.now },
-  },
-});
+const {
+  createStorage,
+  checksum,
+  signFileUrl,
+  verifyFileUrl,
+} = require("./storage");
+const {
+  MEDICAL_AID_PROVIDER_NAMES,
+  normalizeMemberNumber,
+  providerSchemes,
+  createEligibilityChecker,
+  verifyMembership,
+} = require("./membership");
 
-const User = mongoose.model("User", userSchema);
+const {
+  USER_SCHEMA_VERSION,
+  User,
+  Dependant,
+  Order,
+  RefillSubscription,
+  Counter,
+  OutboundMessage,
+  ServiceRequest,
+  Staff,
+  Inventory,
+  ReorderAlert,
+  Prescription,
+  Dose,
+} = require("./models");
+const { runUserMigrations } = require("./migrations");
+const {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  login,
+  logout,
+  revokeSessions,
+  requireStaffAuth,
+  requireRole,
+} = require("./auth");
+const {
+  verifySignature,
+  verifyToken,
+  validatePayload,
+  validateSmsPayload,
+  collectEvents,
+  logRejectedWebhook,
+} = require("./webhook");
+const { InboundQueue, OutboundQueue } = require("./queue");
+const { createTransports, menuOptionFromReply } = require("./transports");
+const {
+  LANGUAGE_COMMANDS,
+  DEPENDANT_COMMANDS,
+  NOTIFICATION_COMMANDS,
+  END_CHAT_COMMANDS,
+  t,
+  buttons,
+  canonicalButton,
+} = require("./i18n");
+const { FlowEngine, EXIT, INVALID } = require("./engine");
+const {
+  InsufficientStockError,
+  findInventoryItem,
+  availableQuantity,
+  reserveStock,
+  commitStock,
+  releaseStock,
+} = require("./inventory");
+const {
+  DOSE_SNOOZE_MINUTES,
+  createSchedules,
+  scheduleDoses,
+  markMissedDoses,
+  usersWithDueDoses,
+  claimDueDose,
+  recordDoseResponse,
+  adherenceReport,
+} = require("./adherence");
+const {
+  UNSPECIFIED_MEDICATION,
+  refillMedications,
+  buildRefillOrder,
+  subscribeToRefills,
+  hasActiveSubscription,
+  dueReminderFilter,
+  isRefillMissed,
+  advanceSubscription,
+} = require("./refills");
 
-// Order Schema
-const orderSchema = new mongoose.Schema(
-  {
-    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-    orderNumber: { type: String, unique: true, required: true },
-    orderType: {
-      type: String,
-      enum: ["PRESCRIPTION_REFILL", "NEW_PRESCRIPTION", "OVER_THE_COUNTER"],
-      required: true,
-    },
-    medications: [
-      {
-        name: { type: String, required: true },
-        quantity: { type: Number, default: 1 },
-        instructions: { type: String },
-      },
-    ],
-    prescriptionImage: {
-      data: Buffer,
-      contentType: String,
-    },
-    prescriptionText: { type: String }, // URL to stored image
-    forDependant: { type: Boolean, default: false },
-    dependantDetails: {
-      firstName: { type: String },
-      lastName: { type: String },
-      dateOfBirth: { type: Date },
-    },
-    deliveryMethod: {
-      type: String,
-      enum: ["DELIVERY", "PICKUP"],
-      required: true,
-    },
-    deliveryAddress: {
-      type: { type: String, enum: ["HOME", "WORK"] },
-      address: { type: String },
-    },
-    status: {
-      type: String,
-      enum: [
-        "PENDING",
-        "PROCESSING",
-        "READY_FOR_PICKUP",
-        "OUT_FOR_DELIVERY",
-        "DELIVERED",
-        "CANCELLED",
-      ],
-      default: "PENDING",
+const storage = createStorage();
+const eligibilityChecker = createEligibilityChecker();
+
+const app = express();
+app.use(
+  bodyParser.json({
+    // Keep the raw body for webhook signature verification
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
     },
-  },
-  { timestamps: true }
+  })
 );
 
-const Order = mongoose.model("Order", orderSchema);
-
 // Connect to MongoDB
 mongoose
   .connect(process.env.MONGODB_URI, {
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
-  .then(() => console.log("Connected to MongoDB"))
+  .then(async () => {
+    console.log("Connected to MongoDB");
+    await runUserMigrations();
+    await migratePrescriptionImagesToStorage();
+    await ensureAdminAccount();
+    await outboundQueue.recover();
+    await inboundQueue.recover();
+  })
   .catch((err) => console.error("MongoDB connection error:", err));
 
 // WhatsApp Cloud API Configuration
 const WHATSAPP_API_URL = "https://graph.facebook.com/v18.0";
-const PHONE_NUMBER_ID = process.env.WHATSAPP_CLOUD_API_FROM_PHONE_NUMBER_ID;
 const ACCESS_TOKEN = process.env.WHATSAPP_CLOUD_API_ACCESS_TOKEN;
 
-// Helper function to send WhatsApp messages
-async function sendWhatsAppMessage(to, message, buttons = null) {
-  const url = `${WHATSAPP_API_URL}/${PHONE_NUMBER_ID}/messages`;
-  const headers = {
-    Authorization: `Bearer ${ACCESS_TOKEN}`,
-    "Content-Type": "application/json",
-  };
+const transports = createTransports();
+const outboundQueue = new OutboundQueue(transports, {
+  maxAttempts: Number(process.env.OUTBOUND_MAX_ATTEMPTS) || undefined,
+  perRecipientPerMinute:
+    Number(process.env.OUTBOUND_PER_RECIPIENT_PER_MINUTE) || undefined,
+  perSecond: Number(process.env.OUTBOUND_MESSAGES_PER_SECOND) || undefined,
+});
 
-  let data = {
-    messaging_product: "whatsapp",
-    recipient_type: "individual",
-    to: to,
-    type: "text",
-    text: { body: message },
-  };
+// Send a message to a user on the channel they are talking to us on.
+// `recipient` is a User, or a phone number for WhatsApp. Messages are queued
+// and sent in the background; the optional context links the message to an
+// order or ticket so its delivery status can be looked up.
+async function sendMessage(recipient, message, buttons = null, context = {}) {
+  const user = typeof recipient === "string" ? null : recipient;
+  const channel = context.channel || user?.activeChannel || "WhatsApp";
+  const to =
+    channel === "Email" ? user.email : user ? user.phoneNumber : recipient;
 
-  if (buttons) {
-    data = {
-      messaging_product: "whatsapp",
-      recipient_type: "individual",
-      to: to,
-      type: "interactive",
-      interactive: {
-        type: "button",
-        body: { text: message },
-        action: {
-          buttons: buttons.map((button, index) => ({
-            type: "reply",
-            reply: {
-              id: `button_${index + 1}`,
-              title: button,
-            },
-          })),
-        },
-      },
+  try {
+    await outboundQueue.enqueue(
+      channel,
+      to,
+      transports[channel].render(
+        to,
+        message,
+        buttons,
+        t(user, "common.chooseNumber")
+      ),
+      {
+        body: message,
+        order: context.order,
+        serviceRequest: context.serviceRequest,
+      }
+    );
+
+    // Remember the options so a numbered reply can be mapped back to one
+    if (buttons && user && channel !== "WhatsApp") {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { menuOptions: buttons } }
+      );
+    }
+  } catch (error) {
+    console.error(`Error queueing ${channel} message:`, error);
+  }
+}
+
+// Send a notification on the user's preferred channel
+async function sendNotification(user, message, context = {}) {
+  let channel = user.preferences?.notificationPreference || "WhatsApp";
+  if (channel === "Email" && !user.email) {
+    channel = "WhatsApp";
+  }
+  await sendMessage(user, message, null, { ...context, channel });
+}
+
+// Delivery statuses only move forward, so a late "delivered" event never
+// overwrites "read". A failure is recorded whatever came before it.
+const MESSAGE_STATUS_RANK = { SENT: 0, DELIVERED: 1, READ: 2 };
+
+async function recordMessageStatus(statusEvent) {
+  const status = statusEvent.status.toUpperCase();
+  if (status !== "FAILED" && MESSAGE_STATUS_RANK[status] === undefined) {
+    return;
+  }
+
+  const historyEntry = {
+    status,
+    timestamp: statusEvent.timestamp
+      ? new Date(Number(statusEvent.timestamp) * 1000)
+      : new Date(),
+    error: statusEvent.errors,
+  };
+  const filter = { channel: "WhatsApp", providerMessageId: statusEvent.id };
+  if (status !== "FAILED") {
+    filter.status = {
+      $in: Object.keys(MESSAGE_STATUS_RANK).filter(
+        (candidate) =>
+          MESSAGE_STATUS_RANK[candidate] < MESSAGE_STATUS_RANK[status]
+      ),
     };
   }
 
-  try {
-    await axios.post(url, data, { headers });
-  } catch (error) {
-    console.error(
-      "Error sending WhatsApp message:",
-      error.response?.data || error.message
+  const updated = await OutboundMessage.findOneAndUpdate(filter, {
+    $set: { status },
+    $push: { statusHistory: historyEntry },
+  });
+  if (!updated) {
+    // Out of order event; keep it in the history without changing the status
+    await OutboundMessage.updateOne(
+      { channel: "WhatsApp", providerMessageId: statusEvent.id },
+      { $push: { statusHistory: historyEntry } }
     );
-    // Send a generic error message to the user
-    await sendWhatsAppMessage(
-      to,
-      "Sorry, we encountered an error. Please try again or contact support if the issue persists."
+  }
+
+  if (status === "FAILED") {
+    console.error(
+      `WhatsApp message ${statusEvent.id} to ${statusEvent.recipient_id} failed:`,
+      statusEvent.errors
     );
   }
 }
 
-// Registration steps
+// Prescription uploads
+const ALLOWED_PRESCRIPTION_MIME_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "application/pdf",
+];
+const MAX_PRESCRIPTION_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_PRESCRIPTION_FILES = 10;
+
+// Carries the catalog message to show the patient
+class MediaValidationError extends Error {
+  constructor(messageKey, params = {}) {
+    super(`Invalid prescription file: ${messageKey}`);
+    this.name = "MediaValidationError";
+    this.messageKey = messageKey;
+    this.params = params;
+  }
+}
+
+function validatePrescriptionMedia(mimeType, size) {
+  const baseType = (mimeType || "").split(";")[0].trim().toLowerCase();
+  if (!ALLOWED_PRESCRIPTION_MIME_TYPES.includes(baseType)) {
+    throw new MediaValidationError("order.unsupportedFile");
+  }
+  if (size > MAX_PRESCRIPTION_FILE_SIZE) {
+    throw new MediaValidationError("order.fileTooLarge", {
+      max: MAX_PRESCRIPTION_FILE_SIZE / (1024 * 1024),
+    });
+  }
+  return baseType;
+}
+
+// Resolve a Cloud API media ID and download the file
+async function downloadWhatsAppMedia(media) {
+  const headers = { Authorization: `Bearer ${ACCESS_TOKEN}` };
+
+  const { data: mediaInfo } = await axios.get(
+    `${WHATSAPP_API_URL}/${media.id}`,
+    { headers }
+  );
+  validatePrescriptionMedia(
+    mediaInfo.mime_type || media.mimeType,
+    mediaInfo.file_size || 0
+  );
+
+  const response = await axios.get(mediaInfo.url, {
+    headers,
+    responseType: "arraybuffer",
+    maxContentLength: MAX_PRESCRIPTION_FILE_SIZE,
+  });
+  const data = Buffer.from(response.data);
+  const contentType = validatePrescriptionMedia(
+    response.headers["content-type"] || mediaInfo.mime_type,
+    data.length
+  );
+
+  return {
+    data,
+    contentType,
+    fileName: media.fileName || null,
+    size: data.length,
+  };
+}
+
+const PRESCRIPTION_FILE_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "application/pdf": "pdf",
+};
+
+// Save a prescription file to storage and return the reference kept on the order
+async function storePrescriptionFile(userId, file) {
+  const extension = PRESCRIPTION_FILE_EXTENSIONS[file.contentType] || "bin";
+  const storageKey = `prescriptions/${userId}/${Date.now()}-${crypto
+    .randomBytes(8)
+    .toString("hex")}.${extension}`;
+
+  await storage.put(storageKey, file.data, file.contentType);
+
+  return {
+    storageKey,
+    checksum: checksum(file.data),
+    contentType: file.contentType,
+    fileName: file.fileName,
+    size: file.size,
+  };
+}
+
+async function deletePrescriptionFiles(files) {
+  for (const file of files || []) {
+    try {
+      await storage.delete(file.storageKey);
+    } catch (error) {
+      console.error(
+        `Error deleting prescription file ${file.storageKey}:`,
+        error
+      );
+    }
+  }
+}
+
+// Delete uploads that didn't end up on an order, e.g. when the patient leaves
+// the order flow before submitting it
+async function deleteUnattachedPrescriptionFiles(files) {
+  if (!files || files.length === 0) {
+    return;
+  }
+  const attached = await Order.exists({
+    "prescriptionFiles.storageKey": {
+      $in: files.map((file) => file.storageKey),
+    },
+  });
+  if (!attached) {
+    await deletePrescriptionFiles(files);
+  }
+}
+
+// Move prescription images stored inside order documents into storage
+async function migratePrescriptionImagesToStorage() {
+  const orders = Order.collection.find({
+    $or: [
+      { "prescriptionImage.data": { $exists: true } },
+      { "prescriptionFiles.data": { $exists: true } },
+    ],
+  });
+
+  let migrated = 0;
+  for await (const order of orders) {
+    try {
+      const legacyFiles = [
+        ...(order.prescriptionImage?.data ? [order.prescriptionImage] : []),
+        ...(order.prescriptionFiles || []),
+      ];
+      const prescriptionFiles = [];
+      for (const legacyFile of legacyFiles) {
+        if (legacyFile.storageKey) {
+          prescriptionFiles.push(legacyFile);
+          continue;
+        }
+        const data = Buffer.from(legacyFile.data.buffer);
+        prescriptionFiles.push(
+          await storePrescriptionFile(order.user, {
+            data,
+            contentType: legacyFile.contentType,
+            fileName: legacyFile.fileName || null,
+            size: data.length,
+          })
+        );
+      }
+
+      await Order.collection.updateOne(
+        { _id: order._id },
+        { $set: { prescriptionFiles }, $unset: { prescriptionImage: "" } }
+      );
+      migrated++;
+    } catch (error) {
+      console.error(
+        `Error migrating prescription files for order ${order._id}:`,
+        error
+      );
+    }
+  }
+
+  if (migrated > 0) {
+    console.log(`Migrated prescription files for ${migrated} order(s)`);
+  }
+}
+
+// Registration asks for one detail per state, prompted with the
+// "registration.<field>" message. `parse` turns the reply into the value to
+// keep, or INVALID. Answers are kept in the conversation data and copied onto
+// the user once the last one is in.
 const registrationSteps = [
-  { prompt: "Step 1: Please provide your first name.", field: "firstName" },
-  { prompt: "Step 2: Please provide your surname.", field: "surname" },
+  { state: "FIRST_NAME", field: "firstName" },
+  { state: "SURNAME", field: "surname" },
   {
-    prompt:
-      "Step 3: Please provide your date of birth in the format DD/MM/YYYY.",
+    state: "DATE_OF_BIRTH",
     field: "dateOfBirth",
+    parse: (input) => parseDateOfBirth(input) ?? INVALID,
   },
   {
-    prompt: "Step 4: Please select your gender:\n1. MALE\n2. FEMALE",
+    state: "GENDER",
     field: "gender",
-    options: ["MALE", "FEMALE"],
+    parse: (input) => pickNumberedOption(["MALE", "FEMALE"], input),
   },
   {
-    prompt:
-      "Step 5: Please select your medical aid provider. Type a number:\n1. BOMAID\n2. PULA\n3. BPOMAS\n4. BOTSOGO",
+    state: "MEDICAL_AID_PROVIDER",
     field: "medicalAidProvider",
-    options: ["BOMAID", "PULA", "BPOMAS", "BOTSOGO"],
+    parse: (input) => pickNumberedOption(MEDICAL_AID_PROVIDER_NAMES, input),
   },
+  // Numbers that don't match the provider's format are still accepted;
+  // orders are flagged as not verified for staff to check
   {
-    prompt: "Step 6: Please provide your medical aid number.",
+    state: "MEDICAL_AID_NUMBER",
     field: "medicalAidNumber",
+    parse: (input) => normalizeMemberNumber(input) || INVALID,
   },
   {
-    prompt: "Step 7: Please specify your scheme (if applicable).",
+    state: "SCHEME",
     field: "scheme",
+    parse: (input, data) =>
+      parseScheme(data.get("medicalAidProvider"), input) ?? INVALID,
   },
   {
-    prompt:
-      'Step 8: If you have a dependent number, please provide it. Otherwise, type "N/A".',
+    state: "DEPENDENT_NUMBER",
     field: "dependentNumber",
+    parse: (input) => (input.toUpperCase() === "N/A" ? null : input),
   },
 ];
 
-async function sendRegistrationPrompt(user) {
-  const step = registrationSteps[user.conversationState.currentStep];
-  let message = step.prompt;
+// "2" picks the second option
+function pickNumberedOption(options, input) {
+  const index = parseInt(input) - 1;
+  return index >= 0 && index < options.length ? options[index] : INVALID;
+}
+
+async function sendRegistrationPrompt(user, index) {
+  const step = registrationSteps[index];
+  let message = t(user, `registration.${step.field}`);
+
+  if (step.field === "medicalAidProvider") {
+    message += `\n${MEDICAL_AID_PROVIDER_NAMES.map(
+      (provider, index) => `${index + 1}. ${provider}`
+    ).join("\n")}`;
+  }
+  // Schemes depend on the provider chosen earlier
+  if (step.field === "scheme") {
+    message = schemeQuestion(
+      user,
+      user.conversationState.data.get("medicalAidProvider")
+    );
+  }
 
-  if (user.conversationState.currentStep > 0) {
-    message += '\n\nEnter "00" to go back to the previous step.';
+  if (index > 0) {
+    message += `\n\n${t(user, "registration.goBack")}`;
   }
 
-  await sendWhatsAppMessage(user.phoneNumber, message);
+  await sendMessage(user, message);
 }
 
-async function handleRegistration(user, message) {
-  try {
-    if (message === "00" && user.conversationState.currentStep > 0) {
-      user.conversationState.currentStep--;
-      user.conversationState.data.delete(
-        registrationSteps[user.conversationState.currentStep].field
-      );
-      await user.save();
-      await sendRegistrationPrompt(user);
-      return;
-    }
+// Dates of birth are entered as DD/MM/YYYY or DDMMYYYY. Returns null for
+// anything else, including dates in the future.
+function parseDateOfBirth(text) {
+  const dateRegex = /^(\d{2}\/\d{2}\/\d{4}|\d{8})$/;
+  if (!dateRegex.test(text)) {
+    return null;
+  }
 
-    const step = registrationSteps[user.conversationState.currentStep];
-    let isValid = true;
-    let parsedValue = message;
-
-    // Input validation
-    switch (step.field) {
-      case "dateOfBirth":
-        const dateRegex = /^(\d{2}\/\d{2}\/\d{4}|\d{8})$/;
-        if (!dateRegex.test(message)) {
-          isValid = false;
-        } else {
-          let day, month, year;
-          if (message.includes("/")) {
-            [day, month, year] = message.split("/");
-          } else {
-            day = message.substring(0, 2);
-            month = message.substring(2, 4);
-            year = message.substring(4);
-          }
-          parsedValue = new Date(year, month - 1, day);
-          if (isNaN(parsedValue.getTime()) || parsedValue >= new Date()) {
-            isValid = false;
-          }
-        }
-        break;
-      case "gender":
-        const genderIndex = parseInt(message) - 1;
-        if (genderIndex >= 0 && genderIndex < step.options.length) {
-          parsedValue = step.options[genderIndex];
-        } else {
-          isValid = false;
-        }
-        break;
-      case "medicalAidProvider":
-        const index = parseInt(message) - 1;
-        if (index >= 0 && index < step.options.length) {
-          parsedValue = step.options[index];
-        } else {
-          isValid = false;
-        }
-        break;
-      case "dependentNumber":
-        if (message.toUpperCase() === "N/A") {
-          parsedValue = null;
-        }
-        break;
-    }
+  let day, month, year;
+  if (text.includes("/")) {
+    [day, month, year] = text.split("/");
+  } else {
+    day = text.substring(0, 2);
+    month = text.substring(2, 4);
+    year = text.substring(4);
+  }
+  const date = new Date(year, month - 1, day);
+  return isNaN(date.getTime()) || date >= new Date() ? null : date;
+}
 
-    if (!isValid) {
-      await sendWhatsAppMessage(
-        user.phoneNumber,
-        "Invalid input. Please try again."
-      );
-      await sendRegistrationPrompt(user);
-      return;
-    }
+function schemeOptions(provider) {
+  return providerSchemes(provider)
+    .map((scheme, index) => `${index + 1}. ${scheme}`)
+    .join("\n");
+}
 
-    user.conversationState.data.set(step.field, parsedValue);
+// Ask for the scheme from the provider's list, or typed in when we don't have
+// one
+function schemeQuestion(user, provider) {
+  if (providerSchemes(provider).length === 0) {
+    return t(user, "registration.schemeName");
+  }
+  return `${t(user, "registration.scheme")}\n${schemeOptions(provider)}`;
+}
 
-    if (user.conversationState.currentStep < registrationSteps.length - 1) {
-      user.conversationState.currentStep++;
-      await user.save();
-      await sendRegistrationPrompt(user);
-    } else {
-      // Registration complete
-      for (const [field, value] of user.conversationState.data) {
-        user[field] = value;
-      }
-      user.isRegistrationComplete = true;
-      user.conversationState = {
-        currentFlow: "MAIN_MENU",
-        currentStep: null,
-        data: new Map(),
-        lastUpdated: new Date(),
-      };
-      await user.save();
-      await sendCompletionMessage(user);
+// A number picks a scheme from the provider's list. Anything else is taken as
+// the scheme's name, so a scheme missing from the list doesn't stop the
+// patient; their orders are flagged for staff to check instead.
+function parseScheme(provider, input) {
+  const schemes = providerSchemes(provider);
+  const index = parseInt(input) - 1;
+  if (schemes.length > 0 && String(index + 1) === input.trim()) {
+    return schemes[index] || null;
+  }
+  return input.trim() || null;
+}
+
+async function handleRegistrationAnswer(user, index, input) {
+  const step = registrationSteps[index];
+  if (typeof input !== "string") {
+    await sendMessage(user, t(user, "registration.textOnly"));
+    return step.state;
+  }
+
+  const value = step.parse
+    ? step.parse(input, user.conversationState.data)
+    : input;
+  if (value === INVALID) {
+    await sendMessage(user, t(user, "registration.invalidInput"));
+    return step.state;
+  }
+  user.conversationState.data.set(step.field, value);
+
+  if (index < registrationSteps.length - 1) {
+    return registrationSteps[index + 1].state;
+  }
+
+  for (const { field } of registrationSteps) {
+    user[field] = user.conversationState.data.get(field) ?? null;
+  }
+  user.isRegistrationComplete = true;
+  await sendCompletionMessage(user);
+  return EXIT;
+}
+
+function registrationFlow() {
+  return {
+    initial: registrationSteps[0].state,
+    states: Object.fromEntries(
+      registrationSteps.map((step, index) => [
+        step.state,
+        {
+          prompt: ({ user }) => sendRegistrationPrompt(user, index),
+          // "00" goes back a step and forgets that step's answer
+          back:
+            index === 0
+              ? INVALID
+              : ({ user }) => {
+                  const previous = registrationSteps[index - 1];
+                  user.conversationState.data.delete(previous.field);
+                  return previous.state;
+                },
+          handle: ({ user }, input) =>
+            handleRegistrationAnswer(user, index, input),
+        },
+      ])
+    ),
+  };
+}
+
+// Patients who haven't finished registering only get the registration flow
+async function handleRegistration(user, message) {
+  const ctx = { user };
+  try {
+    if (user.conversationState.currentFlow !== "REGISTRATION") {
+      await conversationEngine.start(ctx, "REGISTRATION");
+      return;
     }
+    await conversationEngine.handle(ctx, message);
   } catch (error) {
     console.error("Error in handleRegistration:", error);
-    await sendWhatsAppMessage(
-      user.phoneNumber,
-      "We encountered an error processing your registration. Please try again or contact support at support@mytelempharma.co.bw if the issue persists."
-    );
+    await sendMessage(user, t(user, "registration.error"));
   }
 }
 
 async function sendCompletionMessage(user) {
-  const message = `Thank you for registering, ${user.firstName}! Your registration is now complete. You can now use our WhatsApp medication delivery service.`;
-  await sendWhatsAppMessage(user.phoneNumber, message);
-  await sendMainMenu(user);
+  await sendMessage(
+    user,
+    t(user, "registration.complete", { name: user.firstName })
+  );
 }
 
 async function sendWelcomeMessage(user) {
-  await sendWhatsAppMessage(
-    user.phoneNumber,
-    "Welcome to Telepharma Botswana! To start using our WhatsApp medication delivery service, you need to complete a quick registration process. This will help us serve you better. Let's begin!"
-  );
-  await sendRegistrationPrompt(user);
+  await sendMessage(user, t(user, "registration.welcome"));
+  await conversationEngine.start({ user }, "REGISTRATION");
 }
 
 async function sendMainMenu(user) {
-  const message = "Main Menu:";
-  const buttons = ["Place an Order", "View Order Status", "More"];
-  await sendWhatsAppMessage(user.phoneNumber, message, buttons);
+  await sendMessage(
+    user,
+    t(user, "menu.main"),
+    buttons(user, ["placeOrder", "viewOrderStatus", "more"])
+  );
 }
 
 async function sendMoreOptions(user) {
-  const message = "More Options:";
-  const buttons = ["Med Consultation", "General Enquiry"];
-  await sendWhatsAppMessage(user.phoneNumber, message, buttons);
-  await sendWhatsAppMessage(
-    user.phoneNumber,
-    "Enter 00 to go back to the Main Menu."
+  await sendMessage(
+    user,
+    t(user, "menu.more"),
+    buttons(user, ["medConsultation", "generalEnquiry", "myTickets"])
+  );
+  await sendMessage(user, t(user, "common.backToMainMenu"));
+}
+
+async function sendConsultationOptions(user) {
+  await sendMessage(
+    user,
+    t(user, "menu.consult"),
+    buttons(user, ["pharmacist", "doctor"])
+  );
+  await sendMessage(user, t(user, "common.backToMainMenu"));
+}
+
+async function sendLanguageOptions(user) {
+  await sendMessage(
+    user,
+    t(user, "menu.chooseLanguage"),
+    buttons(user, ["english", "setswana"])
   );
 }
 
+// Returns the engine target: another flow, "MENU" to show the menu again, or
+// nothing when the reply has already been sent
 async function handleMainMenu(user, message) {
   // Check for general greetings
   const greetings = [
@@ -358,1001 +645,3991 @@ async function handleMainMenu(user, message) {
     "good morning",
     "good afternoon",
     "good evening",
+    "dumela",
+    "dumelang",
   ];
   if (greetings.includes(message.toLowerCase())) {
-    await sendWhatsAppMessage(
-      user.phoneNumber,
-      `Hello ${user.firstName}! How can I assist you today?`
-    );
-    await sendMainMenu(user);
+    await sendMessage(user, t(user, "menu.greeting", { name: user.firstName }));
+    return "MENU";
+  }
+
+  if (LANGUAGE_COMMANDS.includes(message.trim().toLowerCase())) {
+    await sendLanguageOptions(user);
+    return;
+  }
+
+  if (DEPENDANT_COMMANDS.includes(message.trim().toLowerCase())) {
+    return { flow: "MANAGE_DEPENDANTS" };
+  }
+
+  if (NOTIFICATION_COMMANDS.includes(message.trim().toLowerCase())) {
+    return { flow: "NOTIFICATION_SETTINGS" };
+  }
+
+  // Allow checking a ticket directly by its reference
+  if (TICKET_NUMBER_PATTERN.test(normalizeOrderNumber(message))) {
+    await sendTicketDetails(user, normalizeOrderNumber(message));
     return;
   }
 
   switch (message) {
     case "Place an Order":
-      user.conversationState = {
-        currentFlow: "PLACE_ORDER",
-        currentStep: "MEDICATION_TYPE",
-        data: new Map(),
-        lastUpdated: new Date(),
-      };
-      await user.save();
-      await sendMedicationTypeOptions(user);
-      break;
+      return { flow: "PLACE_ORDER" };
     case "View Order Status":
-      user.conversationState = {
-        currentFlow: "VIEW_ORDER_STATUS",
-        currentStep: null,
-        data: new Map(),
-        lastUpdated: new Date(),
-      };
-      await user.save();
-      await handleViewOrderStatus(user, message);
-      break;
+      return { flow: "VIEW_ORDER_STATUS" };
     case "More":
       await sendMoreOptions(user);
-      break;
+      return;
+    case "Med Consultation":
+      await sendConsultationOptions(user);
+      return;
+    case "Pharmacist":
     case "Pharmacy Consultation":
-      user.conversationState = {
-        currentFlow: "PHARMACY_CONSULTATION",
-        currentStep: "ENTER_ISSUE",
-        data: new Map(),
-        lastUpdated: new Date(),
-      };
-      await user.save();
-      await sendWhatsAppMessage(
-        user.phoneNumber,
-        "Please describe your issue or question for the pharmacy.\n\nEnter 00 to go back to the main menu."
-      );
-      break;
+      return { flow: "PHARMACY_CONSULTATION" };
+    case "Doctor":
+      return { flow: "DOCTOR_CONSULTATION" };
     case "General Enquiry":
-      user.conversationState = {
-        currentFlow: "GENERAL_ENQUIRY",
-        currentStep: "ENTER_ENQUIRY",
-        data: new Map(),
-        lastUpdated: new Date(),
-      };
-      await user.save();
-      await sendWhatsAppMessage(
-        user.phoneNumber,
-        "Please enter your general enquiry.\n\nEnter 00 to go back to the main menu."
-      );
-      break;
+      return { flow: "GENERAL_ENQUIRY" };
+    case "English":
+    case "Setswana":
+      user.preferences.language = message;
+      await sendMessage(user, t(user, "menu.languageChanged"));
+      return "MENU";
+    case "My Tickets":
+      return { flow: "VIEW_TICKETS" };
     default:
-      await sendWhatsAppMessage(
-        user.phoneNumber,
-        "Invalid option. Please try again."
-      );
-      await sendMainMenu(user);
+      return INVALID;
   }
 }
 
 async function sendMedicationTypeOptions(user) {
-  const message = "Medication Details:";
-  //   const buttons = ["Prescription Medicine", "Over-the-Counter"];
-  const buttons = ["Prescription", "OTC"];
-  await sendWhatsAppMessage(user.phoneNumber, message, buttons);
-  await sendWhatsAppMessage(
-    user.phoneNumber,
-    "Prescription: For prescribed medications\nOTC: For over-the-counter medications\n\nEnter 00 to go back to the main menu."
+  await sendMessage(
+    user,
+    t(user, "order.medicationType"),
+    buttons(user, ["prescription", "otc"])
   );
+  await sendMessage(user, t(user, "order.medicationTypeHelp"));
 }
 
-async function handlePlaceOrder(user, message) {
-  if (message === "00") {
-    const steps = [
-      "MEDICATION_TYPE",
-      "PRESCRIPTION_OPTIONS",
-      "UPLOAD_PRESCRIPTION",
-      "NEW_PRESCRIPTION_FOR",
-      "OTC_MEDICATION_LIST",
-      "DELIVERY_METHOD",
-      "DELIVERY_ADDRESS_TYPE",
-      "ENTER_WORK_ADDRESS",
-      "ENTER_HOME_ADDRESS",
-    ];
-    const currentIndex = steps.indexOf(user.conversationState.currentStep);
-    if (currentIndex > 0) {
-      let previousStep = steps[currentIndex - 1];
-
-      // Special handling for OTC flow
-      if (user.conversationState.currentStep === "OTC_MEDICATION_LIST") {
-        previousStep = "MEDICATION_TYPE";
-      } else if (
-        user.conversationState.currentStep === "DELIVERY_METHOD" &&
-        user.conversationState.data.get("orderType") === "OVER_THE_COUNTER"
-      ) {
-        previousStep = "OTC_MEDICATION_LIST";
-      }
-
-      user.conversationState.currentStep = previousStep;
-      await user.save();
+async function handlePrescriptionUpload(user, message) {
+  if (message.type === "image" || message.type === "document") {
+    const files = user.conversationState.data.get("prescriptionFiles") || [];
+    if (files.length >= MAX_PRESCRIPTION_FILES) {
+      await sendMessage(
+        user,
+        t(user, "order.tooManyPages", { max: MAX_PRESCRIPTION_FILES }),
+        buttons(user, ["done"])
+      );
+      return;
+    }
 
-      switch (previousStep) {
-        case "MEDICATION_TYPE":
-          await sendMedicationTypeOptions(user);
-          break;
-        case "PRESCRIPTION_OPTIONS":
-          await sendPrescriptionOptions(user);
-          break;
-        case "UPLOAD_PRESCRIPTION":
-          await sendWhatsAppMessage(
-            user.phoneNumber,
-            "Please upload a photo of your prescription.\n\nEnter 00 to go back to the previous step."
-          );
-          break;
-        case "NEW_PRESCRIPTION_FOR":
-          await sendNewPrescriptionOptions(user);
-          break;
-        case "OTC_MEDICATION_LIST":
-          await sendWhatsAppMessage(
-            user.phoneNumber,
-            "Please enter a list of medications you would like to order.\n\nEnter 00 to go back to the previous step."
-          );
-          break;
-        case "DELIVERY_METHOD":
-          await sendDeliveryOptions(user);
-          break;
-        case "DELIVERY_ADDRESS_TYPE":
-          await sendDeliveryAddressOptions(user);
-          break;
-        default:
-          await handlePlaceOrder(user, ""); // Resend the previous step's message
+    try {
+      const file = await downloadWhatsAppMedia(message.media);
+      files.push(await storePrescriptionFile(user._id, file));
+      user.conversationState.data.set("prescriptionFiles", files);
+      if (message.media.caption) {
+        user.conversationState.data.set(
+          "prescriptionText",
+          message.media.caption
+        );
       }
-      return;
+
+      const received =
+        file.contentType === "application/pdf"
+          ? t(user, "order.documentReceived")
+          : t(user, "order.pageReceived", { page: files.length });
+      await sendMessage(
+        user,
+        t(user, "order.morePages", { received }),
+        buttons(user, ["done"])
+      );
+    } catch (error) {
+      console.error("Error downloading prescription media:", error);
+      const reason =
+        error instanceof MediaValidationError
+          ? t(user, error.messageKey, error.params)
+          : t(user, "order.fileError");
+      await sendMessage(user, t(user, "order.uploadAgain", { reason }));
     }
-  } else if (message === "0") {
-    user.conversationState = {
-      currentFlow: "MAIN_MENU",
-      currentStep: null,
-      data: new Map(),
-      lastUpdated: new Date(),
-    };
-    await user.save();
-    await sendMainMenu(user);
     return;
   }
 
-  switch (user.conversationState.currentStep) {
-    case "MEDICATION_TYPE":
-      if (message === "00") {
-        user.conversationState = {
-          currentFlow: "MAIN_MENU",
-          currentStep: null,
-          data: new Map(),
-          lastUpdated: new Date(),
-        };
-        await user.save();
-        await sendMainMenu(user);
-      } else if (message === "Prescription") {
-        user.conversationState.currentStep = "PRESCRIPTION_OPTIONS";
-        await user.save();
-        await sendPrescriptionOptions(user);
-      } else if (message === "OTC") {
-        user.conversationState.data.set("orderType", "OVER_THE_COUNTER");
-        user.conversationState.currentStep = "OTC_MEDICATION_LIST";
-        await user.save();
-        await sendWhatsAppMessage(
-          user.phoneNumber,
-          "Please enter a list of medications you would like to order.\n\nEnter 00 to go back to the previous step."
-        );
-      } else {
-        await sendWhatsAppMessage(
-          user.phoneNumber,
-          "Invalid option. Please try again."
-        );
-        await sendMedicationTypeOptions(user);
-      }
-      break;
-    case "PRESCRIPTION_OPTIONS":
-      await handlePrescriptionOptions(user, message);
-      break;
-    case "UPLOAD_PRESCRIPTION":
-      if (message.type === "image") {
-        try {
-          const response = await axios.get(message.image.url, {
-            responseType: "arraybuffer",
-          });
-          const imageBuffer = Buffer.from(response.data, "binary");
+  if (message === "Done") {
+    const files = user.conversationState.data.get("prescriptionFiles") || [];
+    if (files.length === 0) {
+      await sendMessage(user, t(user, "order.noPrescriptionYet"));
+      return "UPLOAD_PRESCRIPTION";
+    }
+    await sendMessage(user, t(user, "order.prescriptionReceived"));
+    return nextOrderStep(user, "NEW_PRESCRIPTION_FOR");
+  }
 
-          user.conversationState.data.set("prescriptionImage", {
-            data: imageBuffer,
-            contentType: response.headers["content-type"],
-          });
+  user.conversationState.data.set("prescriptionText", message);
+  await sendMessage(user, t(user, "order.prescriptionTextReceived"));
+  return nextOrderStep(user, "NEW_PRESCRIPTION_FOR");
+}
 
-          console.log(
-            "Prescription image stored in conversation state:",
-            user.conversationState.data.get("prescriptionImage")
-              ? "Image present"
-              : "Image not present"
-          );
-
-          user.conversationState.currentStep = "NEW_PRESCRIPTION_FOR";
-          await user.save();
-          await sendWhatsAppMessage(
-            user.phoneNumber,
-            "Prescription image received. Thank you."
-          );
-          await sendNewPrescriptionOptions(user);
-        } catch (error) {
-          console.error("Error downloading prescription image:", error);
-          await sendWhatsAppMessage(
-            user.phoneNumber,
-            "We encountered an error processing your prescription image. Please try uploading it again."
-          );
-        }
-      } else if (message === "00") {
-        user.conversationState.currentStep = "PRESCRIPTION_OPTIONS";
-        await user.save();
-        await sendPrescriptionOptions(user);
-      } else {
-        user.conversationState.data.set("prescriptionText", message);
-        user.conversationState.currentStep = "NEW_PRESCRIPTION_FOR";
-        await user.save();
-        await sendWhatsAppMessage(
-          user.phoneNumber,
-          "Prescription text received. Thank you."
-        );
-        await sendNewPrescriptionOptions(user);
-      }
-      break;
-    case "OTC_MEDICATION_LIST":
-      if (message === "00") {
-        user.conversationState.currentStep = "MEDICATION_TYPE";
-        await user.save();
-        await sendMedicationTypeOptions(user);
-      } else {
-        user.conversationState.data.set("medications", message);
-        user.conversationState.currentStep = "DELIVERY_METHOD";
-        await user.save();
-        await sendDeliveryOptions(user);
-      }
-      break;
-    case "DELIVERY_METHOD":
-      await handleDeliveryMethod(user, message);
-      break;
-    case "DELIVERY_ADDRESS_TYPE":
-      await handleDeliveryAddressType(user, message);
-      break;
-    case "ENTER_WORK_ADDRESS":
-      if (message === "00") {
-        user.conversationState.currentStep = "DELIVERY_ADDRESS_TYPE";
-        await user.save();
-        await sendDeliveryAddressOptions(user);
-      } else {
-        user.conversationState.data.set("workAddress", message);
-        await finishOrder(user);
-      }
-      break;
-    case "ENTER_HOME_ADDRESS":
-      if (message === "00") {
-        user.conversationState.currentStep = "DELIVERY_ADDRESS_TYPE";
-        await user.save();
-        await sendDeliveryAddressOptions(user);
-      } else {
-        user.conversationState.data.set("homeAddress", message);
-        await finishOrder(user);
-      }
-      break;
-    case "NEW_PRESCRIPTION_FOR":
-      if (message === "00") {
-        // Go back to the previous step
-        user.conversationState.currentStep = "UPLOAD_PRESCRIPTION";
-        await user.save();
-        await sendWhatsAppMessage(
-          user.phoneNumber,
-          "Please upload a photo of your prescription.\n\nEnter 00 to go back to the previous step."
-        );
-      } else if (message === "Principal Member" || message === "Dependant") {
-        user.conversationState.data.set("prescriptionFor", message);
-        user.conversationState.currentStep = "DELIVERY_METHOD";
-        await user.save();
-        await sendDeliveryOptions(user);
-      } else {
-        await sendWhatsAppMessage(
-          user.phoneNumber,
-          "Invalid option. Please try again."
-        );
-        await sendNewPrescriptionOptions(user);
-      }
-      break;
-    default:
-      await sendWhatsAppMessage(
-        user.phoneNumber,
-        "Invalid step in order process. Returning to main menu."
-      );
-      user.conversationState = {
-        currentFlow: "MAIN_MENU",
-        currentStep: null,
-        data: new Map(),
-        lastUpdated: new Date(),
-      };
-      await user.save();
-      await sendMainMenu(user);
+// Going back from the upload step, or starting it again, discards the pages
+// sent so far
+async function discardPrescriptionUpload(user) {
+  await deletePrescriptionFiles(
+    user.conversationState.data.get("prescriptionFiles")
+  );
+  user.conversationState.data.delete("prescriptionFiles");
+}
+
+// OTC cart
+const MAX_CART_ITEMS = 20;
+const MAX_CART_ITEM_QUANTITY = 50;
+
+async function sendOtcItemPrompt(user) {
+  await sendMessage(user, t(user, "cart.prompt"));
+}
+
+// Parse "Panado x 2", "2 x Panado", "2 Panado" or just "Panado"
+function parseCartItem(text) {
+  const trimmed = text.trim();
+  let match = trimmed.match(/^(.+?)\s*[x*]\s*(\d+)$/i);
+  if (match) {
+    return { name: match[1].trim(), quantity: parseInt(match[2]) };
   }
+  match = trimmed.match(/^(\d+)\s*(?:[x*]\s*)?(.+)$/i);
+  if (match) {
+    return { name: match[2].trim(), quantity: parseInt(match[1]) };
+  }
+  return { name: trimmed, quantity: 1 };
 }
 
-async function sendPrescriptionOptions(user) {
-  const message = "Prescription Options:";
-  const buttons = ["Prescription Refill", "New Prescription"];
-  await sendWhatsAppMessage(user.phoneNumber, message, buttons);
-  await sendWhatsAppMessage(
-    user.phoneNumber,
-    "Enter 0 to go back to Main Menu\nEnter 00 to go back to the previous step."
-  );
+function describeStock(user, cartItem, inventoryItem) {
+  if (!inventoryItem) {
+    return t(user, "cart.notInCatalogue");
+  }
+  const available = availableQuantity(inventoryItem);
+  if (available <= 0) {
+    return t(user, "cart.outOfStock");
+  }
+  if (available < cartItem.quantity) {
+    return t(user, "cart.onlyInStock", { available });
+  }
+  return null;
 }
 
-async function handlePrescriptionOptions(user, message) {
-  switch (message) {
-    case "Prescription Refill":
-      user.conversationState.currentStep = "SELECT_REFILL";
-      user.conversationState.data.set("orderType", "PRESCRIPTION_REFILL");
-      await user.save();
-      await sendRefillOptions(user);
-      break;
-    case "New Prescription":
-      user.conversationState.currentStep = "UPLOAD_PRESCRIPTION";
-      user.conversationState.data.set("orderType", "NEW_PRESCRIPTION");
-      await user.save();
-      await sendWhatsAppMessage(
-        user.phoneNumber,
-        "Please upload a photo of your prescription.\n\nEnter 00 to go back to the previous step."
+async function addItemsToCart(user, message) {
+  const cart = user.conversationState.data.get("cart") || [];
+  const notes = [];
+
+  // Several items can be sent at once, one per line or separated by commas
+  for (const entry of message.split(/[\n,]/)) {
+    if (!entry.trim()) {
+      continue;
+    }
+
+    const { name, quantity } = parseCartItem(entry);
+    if (!name || quantity < 1 || quantity > MAX_CART_ITEM_QUANTITY) {
+      notes.push(
+        t(user, "cart.invalidQuantity", {
+          entry: entry.trim(),
+          max: MAX_CART_ITEM_QUANTITY,
+        })
       );
-      break;
-    case "0":
-      user.conversationState = {
-        currentFlow: "MAIN_MENU",
-        currentStep: null,
-        data: new Map(),
-        lastUpdated: new Date(),
-      };
-      await user.save();
-      await sendMainMenu(user);
-      break;
-    case "00":
-      user.conversationState.currentStep = "MEDICATION_TYPE";
-      await user.save();
-      await sendMedicationTypeOptions(user);
-      break;
-    default:
-      await sendWhatsAppMessage(
-        user.phoneNumber,
-        "Invalid option. Please try again."
+      continue;
+    }
+
+    const inventoryItem = await findInventoryItem(name);
+    const itemName = inventoryItem ? inventoryItem.medicationName : name;
+    let cartItem = cart.find(
+      (item) => item.name.toLowerCase() === itemName.toLowerCase()
+    );
+
+    if (cartItem) {
+      cartItem.quantity = Math.min(
+        cartItem.quantity + quantity,
+        MAX_CART_ITEM_QUANTITY
       );
-      await sendPrescriptionOptions(user);
+    } else if (cart.length >= MAX_CART_ITEMS) {
+      notes.push(t(user, "cart.full", { name: itemName, max: MAX_CART_ITEMS }));
+      continue;
+    } else {
+      cartItem = {
+        name: itemName,
+        quantity,
+        inventoryItem: inventoryItem ? inventoryItem._id.toString() : null,
+      };
+      cart.push(cartItem);
+    }
+
+    const warning = describeStock(user, cartItem, inventoryItem);
+    notes.push(
+      [
+        t(user, "cart.added", { quantity, name: itemName }),
+        warning && t(user, "cart.stockWarning", { name: itemName, warning }),
+      ]
+        .filter(Boolean)
+        .join(" ")
+    );
+  }
+
+  if (notes.length === 0) {
+    return "OTC_MEDICATION_LIST";
   }
+
+  user.conversationState.data.set("cart", cart);
+  await sendMessage(user, notes.join("\n"));
+  return "OTC_CART";
 }
 
-async function sendRefillOptions(user) {
-  const prescriptionOrders = await Order.find({
-    user: user._id,
-    orderType: { $in: ["PRESCRIPTION_REFILL", "NEW_PRESCRIPTION"] },
-  })
-    .sort({ createdAt: -1 })
-    .limit(10);
+async function sendCart(user) {
+  const cart = user.conversationState.data.get("cart") || [];
 
-  if (prescriptionOrders.length === 0) {
-    await sendWhatsAppMessage(
-      user.phoneNumber,
-      "You don't have any previous prescription orders to refill.\n\nEnter 00 to go back to the previous step."
-    );
+  if (cart.length === 0) {
+    await sendMessage(user, t(user, "cart.empty"), buttons(user, ["addItem"]));
     return;
   }
 
-  let message = "Select a prescription to refill:\n\n";
-  prescriptionOrders.forEach((order, index) => {
-    message += `${index + 1}. ${
-      order.orderNumber
-    } - ${order.createdAt.toDateString()}\n`;
+  const inventoryItems = await Inventory.find({
+    _id: { $in: cart.map((item) => item.inventoryItem).filter(Boolean) },
+  });
+
+  let message = `${t(user, "cart.heading")}\n\n`;
+  cart.forEach((item, index) => {
+    const inventoryItem = inventoryItems.find(
+      (inventory) => inventory._id.toString() === item.inventoryItem
+    );
+    const warning = describeStock(user, item, inventoryItem);
+    message += `${index + 1}. ${item.name} x ${item.quantity}${
+      warning ? ` (${warning})` : ""
+    }\n`;
   });
-  message +=
-    "\nEnter the number of the prescription you want to refill, or 00 to go back to the previous step.";
 
-  await sendWhatsAppMessage(user.phoneNumber, message);
+  await sendMessage(
+    user,
+    message,
+    buttons(user, ["addItem", "removeItem", "checkout"])
+  );
+  await sendMessage(user, t(user, "common.backNavigation"));
+}
 
-  // Update conversation state to handle refill selection
-  user.conversationState.currentStep = "SELECT_REFILL";
-  user.conversationState.data.set("prescriptionOrders", prescriptionOrders);
-  await user.save();
+// Cart buttons: "Remove Item" and "Checkout" need something in the cart
+function removeCartItemTarget(user) {
+  const cart = user.conversationState.data.get("cart") || [];
+  return cart.length > 0 ? "OTC_REMOVE_ITEM" : "OTC_CART";
 }
 
-async function handleRefillSelection(user, message) {
-  if (message === "00") {
-    user.conversationState.currentStep = "PRESCRIPTION_OPTIONS";
-    await user.save();
-    await sendPrescriptionOptions(user);
-    return;
+async function checkoutCart(user) {
+  const cart = user.conversationState.data.get("cart") || [];
+  if (cart.length === 0) {
+    await sendMessage(user, t(user, "cart.emptyCheckout"));
+    return "OTC_MEDICATION_LIST";
   }
+  return nextOrderStep(user, "DELIVERY_METHOD");
+}
 
-  const prescriptionOrders =
-    user.conversationState.data.get("prescriptionOrders");
-  const selectedIndex = parseInt(message) - 1;
+async function sendRemoveCartItemPrompt(user) {
+  const cart = user.conversationState.data.get("cart") || [];
+  let removeList = `${t(user, "cart.removePrompt")}\n\n`;
+  cart.forEach((item, index) => {
+    removeList += `${index + 1}. ${item.name} x ${item.quantity}\n`;
+  });
+  removeList += `\n${t(user, "cart.removeInstructions")}`;
+  await sendMessage(user, removeList);
+}
 
+async function handleRemoveCartItem(user, message) {
+  const cart = user.conversationState.data.get("cart") || [];
+  const selectedIndex = parseInt(message) - 1;
   if (
     isNaN(selectedIndex) ||
     selectedIndex < 0 ||
-    selectedIndex >= prescriptionOrders.length
+    selectedIndex >= cart.length
   ) {
-    await sendWhatsAppMessage(
-      user.phoneNumber,
-      "Invalid selection. Please enter a valid prescription number or 00 to go back to the previous step."
-    );
+    await sendMessage(user, t(user, "cart.invalidRemove"));
     return;
   }
 
-  const selectedOrder = prescriptionOrders[selectedIndex];
-  user.conversationState.data.set("selectedRefillOrder", selectedOrder);
-  user.conversationState.currentStep = "DELIVERY_METHOD";
-  await user.save();
-
-  await sendDeliveryOptions(user);
+  const [removed] = cart.splice(selectedIndex, 1);
+  user.conversationState.data.set("cart", cart);
+  await sendMessage(user, t(user, "cart.removed", { name: removed.name }));
+  return "OTC_CART";
 }
 
-async function sendNewPrescriptionOptions(user) {
-  const message = "Who is the prescription for?";
-  const buttons = ["Principal Member", "Dependant"];
-  await sendWhatsAppMessage(user.phoneNumber, message, buttons);
-  await sendWhatsAppMessage(
-    user.phoneNumber,
-    "Enter 00 to go back to the previous step."
-  );
+async function sendUploadPrescriptionPrompt(user) {
+  await sendMessage(user, t(user, "order.uploadPrompt"));
 }
 
-async function sendDeliveryOptions(user) {
-  const message =
-    "Would you like the medication to be delivered, or will you be picking it up?";
-  const buttons = ["Delivery", "Pickup"];
-  await sendWhatsAppMessage(user.phoneNumber, message, buttons);
-  await sendWhatsAppMessage(
-    user.phoneNumber,
-    "Enter 0 to go back to Main Menu\nEnter 00 to go back to the previous step."
+async function sendPrescriptionOptions(user) {
+  await sendMessage(
+    user,
+    t(user, "order.prescriptionOptions"),
+    buttons(user, ["prescriptionRefill", "newPrescription"])
   );
+  await sendMessage(user, t(user, "common.backNavigation"));
 }
 
-async function handleDeliveryMethod(user, message) {
-  switch (message) {
-    case "Delivery":
-      user.conversationState.currentStep = "DELIVERY_ADDRESS_TYPE";
-      user.conversationState.data.set("deliveryMethod", "DELIVERY");
-      await user.save();
-      await sendDeliveryAddressOptions(user);
-      break;
-    case "Pickup":
-      user.conversationState.data.set("deliveryMethod", "PICKUP");
-      await user.save();
-      const pharmacyAddress =
-        process.env.PHARMACY_ADDRESS || "Our pharmacy (address not set)";
-      await sendWhatsAppMessage(
-        user.phoneNumber,
-        `Thank you for choosing pickup. You can collect your medication from:\n\n${pharmacyAddress}\n\nWe'll notify you when your order is ready for pickup.`
-      );
-      await finishOrder(user);
-      break;
-    case "0":
-      user.conversationState = {
-        currentFlow: "MAIN_MENU",
-        currentStep: null,
-        data: new Map(),
-        lastUpdated: new Date(),
-      };
-      await user.save();
-      await sendMainMenu(user);
-      break;
-    case "00":
-      // Go back to the previous step
-      const previousStep =
-        user.conversationState.data.get("orderType") === "OVER_THE_COUNTER"
-          ? "OTC_MEDICATION_LIST"
-          : "NEW_PRESCRIPTION_FOR";
-      user.conversationState.currentStep = previousStep;
-      await user.save();
-      if (previousStep === "OTC_MEDICATION_LIST") {
-        await sendWhatsAppMessage(
-          user.phoneNumber,
-          "Please enter a list of medications you would like to order.\n\nEnter 00 to go back to the previous step."
-        );
-      } else {
-        await sendNewPrescriptionOptions(user);
-      }
-      break;
-    default:
-      await sendWhatsAppMessage(
-        user.phoneNumber,
-        "Invalid option. Please try again."
-      );
-      await sendDeliveryOptions(user);
-  }
-}
+// Refills are always taken from the original prescription order, so only
+// those are offered
+async function sendRefillOptions(user) {
+  const prescriptionOrders = await Order.find({
+    user: user._id,
+    orderType: "NEW_PRESCRIPTION",
+    status: { $ne: "CANCELLED" },
+  })
+    .sort({ createdAt: -1 })
+    .limit(10);
 
-async function sendDeliveryAddressOptions(user) {
-  const message = "Where do you want your medication to be delivered?";
-  const buttons = ["Work", "Home"];
-  await sendWhatsAppMessage(user.phoneNumber, message, buttons);
-  await sendWhatsAppMessage(
-    user.phoneNumber,
-    "Enter 00 to go back to the previous step."
+  user.conversationState.data.set(
+    "prescriptionOrderIds",
+    prescriptionOrders.map((order) => order._id.toString())
   );
-}
-
-async function handleDeliveryAddressType(user, message) {
-  switch (message) {
-    case "Work":
-      user.conversationState.currentStep = "ENTER_WORK_ADDRESS";
-      await user.save();
-      await sendWhatsAppMessage(
-        user.phoneNumber,
-        "Please enter your work name and physical address.\n\nEnter 00 to go back to the previous step."
-      );
-      break;
-    case "Home":
-      user.conversationState.currentStep = "ENTER_HOME_ADDRESS";
-      await user.save();
-      await sendWhatsAppMessage(
-        user.phoneNumber,
-        "Please enter your home address.\n\nEnter 00 to go back to the previous step."
-      );
-      break;
-    case "00":
-      user.conversationState.currentStep = "DELIVERY_METHOD";
-      await user.save();
-      await sendDeliveryOptions(user);
-      break;
-    default:
-      await sendWhatsAppMessage(
-        user.phoneNumber,
-        "Invalid option. Please try again."
-      );
-      await sendDeliveryAddressOptions(user);
-  }
-}
-
-async function finishOrder(user) {
-  const orderData = {
-    user: user._id,
-    orderNumber: generateOrderNumber(),
-    orderType:
-      user.conversationState.data.get("orderType") || "OVER_THE_COUNTER",
-    medications: user.conversationState.data.get("medications")
-      ? [{ name: user.conversationState.data.get("medications") }]
-      : [{ name: "To be specified" }],
-    deliveryMethod: user.conversationState.data.get("deliveryMethod"),
-    deliveryAddress: {
-      type: user.conversationState.data.get("workAddress") ? "WORK" : "HOME",
-      address:
-        user.conversationState.data.get("workAddress") ||
-        user.conversationState.data.get("homeAddress"),
-    },
-    status: "PENDING",
-  };
 
-  // Include prescription image or text
-  const prescriptionImage =
-    user.conversationState.data.get("prescriptionImage");
-  if (prescriptionImage && prescriptionImage.data) {
-    orderData.prescriptionImage = {
-      data: prescriptionImage.data,
-      contentType: prescriptionImage.contentType,
-    };
+  if (prescriptionOrders.length === 0) {
+    await sendMessage(user, t(user, "order.noRefills"));
+    return;
   }
 
-  const prescriptionText = user.conversationState.data.get("prescriptionText");
-  if (prescriptionText) {
-    orderData.prescriptionText = prescriptionText;
+  let message = `${t(user, "order.selectRefill")}\n\n`;
+  for (const [index, order] of prescriptionOrders.entries()) {
+    const medications = await describeRefillMedications(user, order);
+    message += `${index + 1}. ${
+      order.orderNumber
+    } - ${order.createdAt.toDateString()} (${medications})\n`;
   }
+  message += `\n${t(user, "order.selectRefillInstructions")}`;
 
-  console.log("Order data before saving:", orderData);
-
-  const order = new Order(orderData);
-
-  try {
-    await order.save();
-    console.log("Order saved successfully:", order.toObject());
+  await sendMessage(user, message);
+}
 
-    const pharmacyAddress =
-      process.env.PHARMACY_ADDRESS || "our pharmacy (address not set)";
-    let message;
-    if (
-      order.orderType === "NEW_PRESCRIPTION" ||
-      order.orderType === "PRESCRIPTION_REFILL"
-    ) {
-      message = `Thank you for providing your prescription, ${user.firstName}. Your order number is ${order.orderNumber}. We'll process your request, and a pharmacist will review it. `;
-    } else {
-      message = `Thank you for your order, ${user.firstName}! Your order number is ${order.orderNumber}. `;
-    }
+async function handleRefillSelection(user, message) {
+  const prescriptionOrderIds =
+    user.conversationState.data.get("prescriptionOrderIds") || [];
+  const selectedIndex = parseInt(message) - 1;
 
-    if (order.deliveryMethod === "DELIVERY") {
-      message += "Your medication will be delivered soon.";
-    } else {
-      message += `Your medication will be ready for pickup soon at ${pharmacyAddress}. We'll notify you when it's ready.`;
-    }
+  if (
+    isNaN(selectedIndex) ||
+    selectedIndex < 0 ||
+    selectedIndex >= prescriptionOrderIds.length
+  ) {
+    await sendMessage(user, t(user, "order.invalidRefill"));
+    return;
+  }
 
-    await sendWhatsAppMessage(user.phoneNumber, message);
+  user.conversationState.data.set(
+    "refillSourceId",
+    prescriptionOrderIds[selectedIndex]
+  );
+  return nextOrderStep(user, "DELIVERY_METHOD");
+}
 
-    // Reset conversation state
-    user.conversationState = {
-      currentFlow: "MAIN_MENU",
-      currentStep: null,
-      data: new Map(),
-      lastUpdated: new Date(),
-    };
-    await user.save();
+// What a refill of the prescription order will contain, for the patient
+async function describeRefillMedications(user, prescriptionOrder) {
+  const medications = await refillMedications(prescriptionOrder);
+  return medications.length > 0
+    ? medications.map((medication) => medication.name).join(", ")
+    : t(user, "refills.medicationsPending");
+}
 
-    await sendMainMenu(user);
-  } catch (error) {
-    console.error("Error saving order:", error);
-    await sendWhatsAppMessage(
-      user.phoneNumber,
-      "We encountered an error processing your order. Please try again or contact support."
-    );
-    // Return to main menu
-    user.conversationState = {
-      currentFlow: "MAIN_MENU",
-      currentStep: null,
-      data: new Map(),
-      lastUpdated: new Date(),
-    };
-    await user.save();
-    await sendMainMenu(user);
+// The patient's own order that a refill is taken from
+async function findRefillSource(user) {
+  const sourceId = user.conversationState.data.get("refillSourceId");
+  if (!mongoose.isValidObjectId(sourceId)) {
+    return null;
   }
+  return Order.findOne({ _id: sourceId, user: user._id });
 }
 
-function generateOrderNumber() {
-  // Generate a unique order number
-  const randomPart = Math.floor(Math.random() * 1000000000)
-    .toString()
-    .padStart(9, "0");
-
-  const date = new Date();
-  const dayOfWeek = date.toLocaleDateString("en-US", { weekday: "short" });
-  const day = date.getDate();
-  const month = date.toLocaleDateString("en-US", { month: "long" });
-  const year = date.getFullYear();
-  const datePart = `${dayOfWeek} - ${day} - ${month} - ${year}`;
-
-  return `ORD-${randomPart} - ${datePart}`;
+// Dose reminders
+function describeDose(dose) {
+  return dose.dosage
+    ? `${dose.medicationName} (${dose.dosage})`
+    : dose.medicationName;
 }
 
-async function handleConversation(user, message) {
-  // Check if there's an active conversation flow
-  if (
-    !user.conversationState.currentFlow ||
-    user.conversationState.currentFlow === "MAIN_MENU"
-  ) {
-    user.conversationState = {
-      currentFlow: "MAIN_MENU",
-      currentStep: null,
-      data: new Map(),
-      lastUpdated: new Date(),
-    };
-    await user.save();
-    await handleMainMenu(user, message);
+async function sendDoseReminder(user) {
+  const doseId = user.conversationState.data.get("doseId");
+  const dose =
+    mongoose.isValidObjectId(doseId) && (await Dose.findById(doseId));
+  if (!dose) {
+    await sendMessage(user, t(user, "adherence.doseClosed"));
     return;
   }
+  await sendMessage(
+    user,
+    `${t(user, "adherence.reminder", {
+      name: user.firstName,
+      medication: describeDose(dose),
+    })}\n\n${t(user, "common.backToMainMenu")}`,
+    buttons(user, ["taken", "snooze", "skip"])
+  );
+}
 
-  // Check for session timeout (30 minutes)
-  const thirtyMinutesAgo = new Date(Date.now() - 30 * 60 * 1000);
-  if (user.conversationState.lastUpdated < thirtyMinutesAgo) {
-    await sendWhatsAppMessage(
-      user.phoneNumber,
-      "Your session has timed out. Returning to the main menu."
+async function answerDoseReminder(user, response) {
+  const dose = await recordDoseResponse(
+    user.conversationState.data.get("doseId"),
+    user._id,
+    response
+  );
+  if (!dose) {
+    await sendMessage(user, t(user, "adherence.doseClosed"));
+  } else if (response === "TAKEN") {
+    await sendMessage(
+      user,
+      t(user, "adherence.taken", { medication: describeDose(dose) })
     );
-    user.conversationState = {
-      currentFlow: "MAIN_MENU",
-      currentStep: null,
-      data: new Map(),
-      lastUpdated: new Date(),
-    };
-    await user.save();
-    await sendMainMenu(user);
-    return;
+  } else if (response === "SNOOZE") {
+    await sendMessage(
+      user,
+      t(user, "adherence.snoozed", { minutes: DOSE_SNOOZE_MINUTES })
+    );
+  } else {
+    await sendMessage(user, t(user, "adherence.skipped"));
   }
 
-  switch (user.conversationState.currentFlow) {
-    case "REGISTRATION":
-      await handleRegistration(user, message);
-      break;
-    case "VIEW_ORDER_STATUS":
-      if (user.conversationState.currentStep === "SELECT_ORDER") {
-        await handleOrderSelection(user, message);
-      } else {
-        await handleViewOrderStatus(user, message);
-      }
-      break;
-    case "PLACE_ORDER":
-      if (user.conversationState.currentStep === "SELECT_REFILL") {
-        await handleRefillSelection(user, message);
-      } else {
-        await handlePlaceOrder(user, message);
-      }
-      break;
-    case "MEDICATION_DELIVERY":
-      await handleMedicationDelivery(user, message);
-      break;
-    case "PHARMACY_CONSULTATION":
-      await handlePharmacyConsultation(user, message);
-      break;
-    case "DOCTOR_CONSULTATION":
-      await handleDoctorConsultation(user, message);
-      break;
-    case "GENERAL_ENQUIRY":
-      await handleGeneralEnquiry(user, message);
-      break;
-    default:
-      console.error(
-        `Unknown conversation flow: ${user.conversationState.currentFlow}`
-      );
-      await sendWhatsAppMessage(
-        user.phoneNumber,
-        "I'm sorry, I didn't understand that. Let's go back to the main menu."
-      );
-      user.conversationState = {
-        currentFlow: "MAIN_MENU",
-        currentStep: null,
-        data: new Map(),
-        lastUpdated: new Date(),
-      };
-      await user.save();
-      await sendMainMenu(user);
-  }
+  const next = await claimDueDose(user._id);
+  return next
+    ? { flow: "DOSE_REMINDER", data: { doseId: next._id.toString() } }
+    : EXIT;
+}
 
-  // Update the last interaction time
-  user.lastInteraction = new Date();
-  await user.save();
+// Confirming a scheme that didn't match the provider's list
+async function sendSchemeUpdatePrompt(user) {
+  await sendMessage(
+    user,
+    `${t(user, "schemeUpdate.prompt", {
+      scheme: user.scheme || "-",
+      provider: user.medicalAidProvider,
+    })}\n${schemeOptions(user.medicalAidProvider)}`
+  );
 }
 
-async function handleViewOrderStatus(user, message) {
-  if (message === "00") {
-    user.conversationState = {
-      currentFlow: "MAIN_MENU",
-      currentStep: null,
-      data: new Map(),
-      lastUpdated: new Date(),
-    };
-    await user.save();
-    await sendMainMenu(user);
-    return;
+async function updateScheme(user, input) {
+  const scheme =
+    typeof input === "string"
+      ? parseScheme(user.medicalAidProvider, input)
+      : null;
+  if (!scheme) {
+    return INVALID;
   }
+  user.scheme = scheme;
+  user.schemeNeedsConfirmation = false;
+  await sendMessage(user, t(user, "schemeUpdate.saved", { scheme }));
+  return EXIT;
+}
 
-  // Fetch the last 10 orders for the user
-  const orders = await Order.find({ user: user._id })
-    .sort({ createdAt: -1 })
-    .limit(10);
+// The details stay as they are and orders are checked by staff
+async function keepScheme(user) {
+  user.schemeNeedsConfirmation = false;
+  await sendMessage(user, t(user, "schemeUpdate.kept"));
+  return EXIT;
+}
 
-  if (orders.length === 0) {
-    await sendWhatsAppMessage(
-      user.phoneNumber,
-      "You don't have any orders yet.\n\nEnter 00 to go back to the main menu."
-    );
-  } else {
-    let orderList = "Your last 10 orders:\n\n";
-    orders.forEach((order, index) => {
-      orderList += `${index + 1}. ${
-        order.orderNumber
-      } - ${order.createdAt.toDateString()}\n`;
-    });
-    orderList +=
-      "\nEnter the number of the order to view details, or 00 to go back to the main menu.";
+// Notification settings
+const NOTIFICATION_CHANNEL_BUTTONS = {
+  WhatsApp: "notifyWhatsApp",
+  SMS: "notifySms",
+  Email: "notifyEmail",
+};
 
-    await sendWhatsAppMessage(user.phoneNumber, orderList);
+function describeNotificationChannel(user) {
+  const channel = user.preferences?.notificationPreference || "WhatsApp";
+  const name = t(user, `button.${NOTIFICATION_CHANNEL_BUTTONS[channel]}`);
+  return channel === "Email" ? `${name} (${user.email})` : name;
+}
 
-    // Update conversation state to handle order selection
-    user.conversationState.currentStep = "SELECT_ORDER";
-    user.conversationState.data.set("orders", orders);
-    await user.save();
-  }
+async function sendNotificationOptions(user) {
+  await sendMessage(
+    user,
+    t(user, "notifications.choose", {
+      channel: describeNotificationChannel(user),
+    }),
+    buttons(user, Object.values(NOTIFICATION_CHANNEL_BUTTONS))
+  );
 }
 
-async function handleOrderSelection(user, message) {
-  if (message === "00") {
-    user.conversationState = {
-      currentFlow: "MAIN_MENU",
-      currentStep: null,
-      data: new Map(),
-      lastUpdated: new Date(),
-    };
-    await user.save();
-    await sendMainMenu(user);
+async function setNotificationPreference(user, channel) {
+  user.preferences.notificationPreference = channel;
+  await sendMessage(
+    user,
+    t(user, "notifications.saved", {
+      channel: describeNotificationChannel(user),
+    })
+  );
+  return EXIT;
+}
+
+async function setNotificationEmail(user, input) {
+  const email = input.trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    await sendMessage(user, t(user, "notifications.invalidEmail"));
     return;
   }
+  user.email = email;
+  return setNotificationPreference(user, "Email");
+}
 
-  const orders = user.conversationState.data.get("orders");
-  const selectedIndex = parseInt(message) - 1;
+// Dependants
+function describeDependant(dependant) {
+  return `${dependant.firstName} ${dependant.surname}`;
+}
 
-  if (
-    isNaN(selectedIndex) ||
-    selectedIndex < 0 ||
-    selectedIndex >= orders.length
-  ) {
-    await sendWhatsAppMessage(
-      user.phoneNumber,
-      "Invalid selection. Please enter a valid order number or 00 to go back to the main menu."
-    );
-    return;
-  }
+async function findDependants(user) {
+  return Dependant.find({ principal: user._id, active: true }).sort({
+    createdAt: 1,
+  });
+}
 
-  const selectedOrder = orders[selectedIndex];
-  const orderDetails = `
-Order Details:
-Order Number: ${selectedOrder.orderNumber}
-Date: ${selectedOrder.createdAt.toDateString()}
-Status: ${selectedOrder.status}
-Type: ${selectedOrder.orderType}
-Delivery Method: ${selectedOrder.deliveryMethod}
+async function findDependant(user, id) {
+  return id
+    ? Dependant.findOne({ _id: id, principal: user._id, active: true })
+    : null;
+}
 
-Enter 00 to go back to the main menu or B for Back to view orders again.
-  `;
+// Send the user's dependants as a numbered list and remember which number is
+// which for the reply
+async function sendNumberedDependants(user, heading, extraOptions = []) {
+  const dependants = await findDependants(user);
+  user.conversationState.data.set(
+    "dependantIds",
+    dependants.map((dependant) => dependant._id.toString())
+  );
 
-  await sendWhatsAppMessage(user.phoneNumber, orderDetails);
+  const lines = [...dependants.map(describeDependant), ...extraOptions].map(
+    (line, index) => `${index + 1}. ${line}`
+  );
+  await sendMessage(user, `${heading}\n\n${lines.join("\n")}`);
+}
 
-  // Reset the conversation state to allow viewing orders again
-  user.conversationState.currentStep = null;
-  await user.save();
+// The dependant picked by number from the list last sent, or null
+async function dependantFromReply(user, message) {
+  const ids = user.conversationState.data.get("dependantIds") || [];
+  const index = /^\d+$/.test(message.trim()) ? parseInt(message) - 1 : -1;
+  return index >= 0 && index < ids.length
+    ? findDependant(user, ids[index])
+    : null;
 }
 
-async function handleMedicationDelivery(user, message) {
-  if (message === "00") {
-    user.conversationState = {
-      currentFlow: "MAIN_MENU",
-      currentStep: null,
-      data: new Map(),
-      lastUpdated: new Date(),
-    };
-    await user.save();
-    await sendMainMenu(user);
-    return;
+async function sendDependantList(user) {
+  const dependants = await findDependants(user);
+  let message = t(user, "dependants.none");
+  if (dependants.length > 0) {
+    message = `${t(user, "dependants.heading")}\n\n${dependants
+      .map(
+        (dependant, index) =>
+          `${index + 1}. ${describeDependant(
+            dependant
+          )} (${dependant.dateOfBirth.toDateString()}, ${
+            dependant.dependentNumber
+          })`
+      )
+      .join("\n")}`;
   }
 
-  await sendWhatsAppMessage(
-    user.phoneNumber,
-    `Your medication will be delivered to ${message}.\n\nEnter 00 to go back to the main menu.`
+  await sendMessage(
+    user,
+    message,
+    buttons(
+      user,
+      dependants.length > 0
+        ? ["addDependant", "removeDependant"]
+        : ["addDependant"]
+    )
   );
+  await sendMessage(user, t(user, "common.backToMainMenu"));
 }
 
-async function handlePharmacyConsultation(user, message) {
-  if (message === "00") {
-    user.conversationState = {
-      currentFlow: "MAIN_MENU",
-      currentStep: null,
-      data: new Map(),
-      lastUpdated: new Date(),
-    };
-    await user.save();
-    await sendMainMenu(user);
+async function removeDependant(user, message) {
+  const dependant = await dependantFromReply(user, message);
+  if (!dependant) {
+    await sendMessage(user, t(user, "dependants.invalidSelection"));
     return;
   }
 
-  await sendWhatsAppMessage(
-    user.phoneNumber,
-    "Thank you. A pharmacy consultant will get back to you shortly.\n\nEnter 00 to go back to the main menu."
+  dependant.active = false;
+  await dependant.save();
+  await sendMessage(
+    user,
+    t(user, "dependants.removed", { name: describeDependant(dependant) })
   );
+  return "LIST_DEPENDANTS";
 }
 
-async function handleDoctorConsultation(user, message) {
-  if (message === "00") {
-    user.conversationState = {
-      currentFlow: "MAIN_MENU",
-      currentStep: null,
-      data: new Map(),
-      lastUpdated: new Date(),
-    };
-    await user.save();
-    await sendMainMenu(user);
-    return;
-  }
-
-  await sendWhatsAppMessage(
-    user.phoneNumber,
-    "Thank you. A doctor will get back to you shortly.\n\nEnter 00 to go back to the main menu."
+async function sendDependantQuestion(user, field) {
+  await sendMessage(
+    user,
+    `${t(user, `dependants.${field}`)}\n\n${t(
+      user,
+      "common.backToPreviousStep"
+    )}`
   );
 }
 
-async function handleGeneralEnquiry(user, message) {
-  if (message === "00") {
-    user.conversationState = {
-      currentFlow: "MAIN_MENU",
-      currentStep: null,
-      data: new Map(),
-      lastUpdated: new Date(),
-    };
-    await user.save();
-    await sendMainMenu(user);
+function setNewDependantField(user, field, value, next) {
+  const draft = user.conversationState.data.get("newDependant") || {};
+  draft[field] = value;
+  user.conversationState.data.set("newDependant", draft);
+  return next;
+}
+
+// States that collect a new dependant, shared by the dependants menu and the
+// order flow. Going back from the first question returns to `start`; once the
+// dependant is saved, `done(user, dependant)` returns where to go next.
+function addDependantStates(start, done) {
+  return {
+    ADD_DEPENDANT_FIRST_NAME: {
+      prompt: ({ user }) => sendDependantQuestion(user, "firstName"),
+      back: start,
+      handle: ({ user }, input) =>
+        setNewDependantField(
+          user,
+          "firstName",
+          input.trim(),
+          "ADD_DEPENDANT_SURNAME"
+        ),
+    },
+    ADD_DEPENDANT_SURNAME: {
+      prompt: ({ user }) => sendDependantQuestion(user, "surname"),
+      back: "ADD_DEPENDANT_FIRST_NAME",
+      handle: ({ user }, input) =>
+        setNewDependantField(
+          user,
+          "surname",
+          input.trim(),
+          "ADD_DEPENDANT_DATE_OF_BIRTH"
+        ),
+    },
+    ADD_DEPENDANT_DATE_OF_BIRTH: {
+      prompt: ({ user }) => sendDependantQuestion(user, "dateOfBirth"),
+      back: "ADD_DEPENDANT_SURNAME",
+      handle: async ({ user }, input) => {
+        const dateOfBirth = parseDateOfBirth(input.trim());
+        if (!dateOfBirth) {
+          await sendMessage(user, t(user, "dependants.invalidDateOfBirth"));
+          return;
+        }
+        return setNewDependantField(
+          user,
+          "dateOfBirth",
+          dateOfBirth,
+          "ADD_DEPENDANT_NUMBER"
+        );
+      },
+    },
+    ADD_DEPENDANT_NUMBER: {
+      prompt: ({ user }) => sendDependantQuestion(user, "dependentNumber"),
+      back: "ADD_DEPENDANT_DATE_OF_BIRTH",
+      handle: async ({ user }, input) => {
+        const draft = user.conversationState.data.get("newDependant") || {};
+        const dependant = await Dependant.create({
+          ...draft,
+          principal: user._id,
+          dependentNumber: input.trim(),
+        });
+        user.conversationState.data.delete("newDependant");
+        await sendMessage(
+          user,
+          t(user, "dependants.added", { name: describeDependant(dependant) })
+        );
+        return done(user, dependant);
+      },
+    },
+  };
+}
+
+// Ordering for a dependant: pick a saved one or add a new one, which is
+// offered as the last number in the list
+async function sendDependantChoice(user) {
+  await sendNumberedDependants(user, t(user, "dependants.select"), [
+    t(user, "dependants.addNew"),
+  ]);
+}
+
+async function chooseOrderDependant(user, message) {
+  const ids = user.conversationState.data.get("dependantIds") || [];
+  if (message.trim() === String(ids.length + 1)) {
+    return "ADD_DEPENDANT_FIRST_NAME";
+  }
+
+  const dependant = await dependantFromReply(user, message);
+  if (!dependant) {
+    await sendMessage(user, t(user, "dependants.invalidSelection"));
+    return;
+  }
+  user.conversationState.data.set("dependantId", dependant._id.toString());
+  return nextOrderStep(user, "DELIVERY_METHOD");
+}
+
+async function sendNewPrescriptionOptions(user) {
+  await sendMessage(
+    user,
+    t(user, "order.prescriptionFor"),
+    buttons(user, ["principalMember", "dependant"])
+  );
+  await sendMessage(user, t(user, "common.backToPreviousStep"));
+}
+
+async function sendDeliveryOptions(user) {
+  await sendMessage(
+    user,
+    t(user, "order.deliveryQuestion"),
+    buttons(user, ["delivery", "pickup"])
+  );
+  await sendMessage(user, t(user, "common.backNavigation"));
+}
+
+function chooseDeliveryMethod(user, method) {
+  user.conversationState.data.set("deliveryMethod", method);
+  if (method === "PICKUP") {
+    user.conversationState.data.delete("workAddress");
+    user.conversationState.data.delete("homeAddress");
+    return "CONFIRM_ORDER";
+  }
+  return "DELIVERY_ADDRESS_TYPE";
+}
+
+// Back from the delivery step returns to wherever the order type came from
+function deliveryMethodBackTarget(user) {
+  switch (user.conversationState.data.get("orderType")) {
+    case "OVER_THE_COUNTER":
+      return "OTC_CART";
+    case "PRESCRIPTION_REFILL":
+      return "SELECT_REFILL";
+    default:
+      return "NEW_PRESCRIPTION_FOR";
+  }
+}
+
+async function sendDeliveryAddressOptions(user) {
+  await sendMessage(
+    user,
+    t(user, "order.addressQuestion"),
+    buttons(user, ["work", "home"])
+  );
+  await sendMessage(user, t(user, "common.backToPreviousStep"));
+}
+
+function setDeliveryAddress(user, type, address) {
+  user.conversationState.data.delete("workAddress");
+  user.conversationState.data.delete("homeAddress");
+  user.conversationState.data.set(
+    type === "WORK" ? "workAddress" : "homeAddress",
+    address
+  );
+  return "CONFIRM_ORDER";
+}
+
+// Once the patient has seen the order summary, finishing an edited section
+// goes straight back to it instead of through the rest of the flow
+function nextOrderStep(user, step) {
+  return user.conversationState.data.get("reviewingOrder")
+    ? "CONFIRM_ORDER"
+    : step;
+}
+
+const ORDER_TYPE_KEYS = {
+  OVER_THE_COUNTER: "order.typeOverTheCounter",
+  NEW_PRESCRIPTION: "order.typeNewPrescription",
+  PRESCRIPTION_REFILL: "order.typeRefill",
+};
+
+async function sendOrderSummary(user) {
+  const data = user.conversationState.data;
+  const orderType = data.get("orderType") || "OVER_THE_COUNTER";
+  data.set("reviewingOrder", true);
+
+  const lines = [
+    t(user, "order.summaryHeading"),
+    "",
+    t(user, "order.summaryType", { type: t(user, ORDER_TYPE_KEYS[orderType]) }),
+  ];
+
+  if (orderType === "OVER_THE_COUNTER") {
+    lines.push(t(user, "order.summaryMedications"));
+    for (const item of data.get("cart") || []) {
+      lines.push(`- ${item.name} x ${item.quantity}`);
+    }
+  } else if (orderType === "PRESCRIPTION_REFILL") {
+    const source = await findRefillSource(user);
+    lines.push(
+      t(user, "order.summaryRefillOf", { orderNumber: source?.orderNumber })
+    );
+    if (source) {
+      lines.push(t(user, "order.summaryMedications"));
+      lines.push(`- ${await describeRefillMedications(user, source)}`);
+    }
+  } else {
+    const files = data.get("prescriptionFiles") || [];
+    if (files.length > 0) {
+      lines.push(t(user, "order.summaryPages", { count: files.length }));
+    }
+    if (data.get("prescriptionText")) {
+      lines.push(
+        t(user, "order.summaryNotes", { text: data.get("prescriptionText") })
+      );
+    }
+    if (data.get("prescriptionFor")) {
+      const dependant =
+        data.get("prescriptionFor") === "Dependant" &&
+        (await findDependant(user, data.get("dependantId")));
+      lines.push(
+        t(user, "order.summaryFor", {
+          who: dependant
+            ? describeDependant(dependant)
+            : t(user, "button.principalMember"),
+        })
+      );
+    }
+  }
+
+  if (data.get("deliveryMethod") === "DELIVERY") {
+    const address = data.get("workAddress") || data.get("homeAddress");
+    lines.push(
+      t(user, "order.summaryDelivery", {
+        place: t(user, data.get("workAddress") ? "button.work" : "button.home"),
+        address,
+      })
+    );
+  } else {
+    lines.push(
+      t(user, "order.summaryPickup", {
+        address:
+          process.env.PHARMACY_ADDRESS || "our pharmacy (address not set)",
+      })
+    );
+  }
+
+  await sendMessage(
+    user,
+    lines.join("\n"),
+    buttons(user, ["confirm", "edit", "cancel"])
+  );
+}
+
+async function sendEditOrderOptions(user) {
+  const orderType = user.conversationState.data.get("orderType");
+  const sections =
+    orderType === "NEW_PRESCRIPTION"
+      ? ["editMedication", "editPatient", "editDelivery"]
+      : ["editMedication", "editDelivery"];
+  await sendMessage(
+    user,
+    t(user, "order.editQuestion"),
+    buttons(user, sections)
+  );
+  await sendMessage(user, t(user, "common.backToPreviousStep"));
+}
+
+function editMedicationTarget(user) {
+  switch (user.conversationState.data.get("orderType")) {
+    case "NEW_PRESCRIPTION":
+      return "UPLOAD_PRESCRIPTION";
+    case "PRESCRIPTION_REFILL":
+      return "SELECT_REFILL";
+    default:
+      return "OTC_CART";
+  }
+}
+
+async function confirmOrder(user) {
+  const order = await finishOrder(user);
+  // Prescriptions for chronic medication can be refilled automatically
+  if (
+    order &&
+    order.orderType !== "OVER_THE_COUNTER" &&
+    !(await hasActiveSubscription(order))
+  ) {
+    return {
+      flow: "REFILL_SUBSCRIPTION",
+      data: { orderId: order._id.toString() },
+    };
+  }
+  return EXIT;
+}
+
+// Nothing has been saved yet; the uploaded prescription pages are deleted on
+// the way out of the flow
+async function cancelOrderDraft(user) {
+  await sendMessage(user, t(user, "order.draftCancelled"));
+  return EXIT;
+}
+
+// Create the order from the conversation data. Returns the saved order, or
+// nothing if it couldn't be saved.
+async function finishOrder(user) {
+  const orderData = {
+    user: user._id,
+    orderNumber: await generateOrderNumber(),
+    orderType:
+      user.conversationState.data.get("orderType") || "OVER_THE_COUNTER",
+    medications: user.conversationState.data.get("cart")?.length
+      ? user.conversationState.data.get("cart").map((item) => ({
+          name: item.name,
+          quantity: item.quantity,
+          inventoryItem: item.inventoryItem || undefined,
+        }))
+      : [{ name: UNSPECIFIED_MEDICATION }],
+    deliveryMethod: user.conversationState.data.get("deliveryMethod"),
+    deliveryAddress: {
+      type: user.conversationState.data.get("workAddress") ? "WORK" : "HOME",
+      address:
+        user.conversationState.data.get("workAddress") ||
+        user.conversationState.data.get("homeAddress"),
+    },
+    status: "PENDING",
+    statusHistory: [
+      { status: "PENDING", actorType: "PATIENT", user: user._id },
+    ],
+  };
+
+  // Include prescription files or text
+  const prescriptionFiles =
+    user.conversationState.data.get("prescriptionFiles");
+  if (prescriptionFiles && prescriptionFiles.length > 0) {
+    orderData.prescriptionFiles = prescriptionFiles;
+  }
+
+  const prescriptionText = user.conversationState.data.get("prescriptionText");
+  if (prescriptionText) {
+    orderData.prescriptionText = prescriptionText;
+  }
+
+  if (user.conversationState.data.get("prescriptionFor") === "Dependant") {
+    const dependant = await findDependant(
+      user,
+      user.conversationState.data.get("dependantId")
+    );
+    if (dependant) {
+      orderData.forDependant = true;
+      orderData.dependant = dependant._id;
+      orderData.dependantDetails = {
+        firstName: dependant.firstName,
+        lastName: dependant.surname,
+        dateOfBirth: dependant.dateOfBirth,
+        dependentNumber: dependant.dependentNumber,
+      };
+    }
+  }
+
+  // A refill repeats the original prescription rather than anything entered
+  // in this conversation
+  if (orderData.orderType === "PRESCRIPTION_REFILL") {
+    const source = await findRefillSource(user);
+    if (!source) {
+      await sendMessage(user, t(user, "order.error"));
+      return;
+    }
+    Object.assign(orderData, await buildRefillOrder(source));
+  }
+
+  orderData.membershipCheck = await checkOrderMembership(user, orderData);
+
+  console.log("Order data before saving:", {
+    ...orderData,
+    prescriptionFiles: orderData.prescriptionFiles
+      ? `${orderData.prescriptionFiles.length} file(s)`
+      : undefined,
+  });
+
+  const order = new Order(orderData);
+
+  try {
+    await order.save();
+    console.log("Order saved successfully:", order.orderNumber);
+    await sendOrderConfirmation(user, order);
+    return order;
+  } catch (error) {
+    console.error("Error saving order:", error);
+    await sendMessage(user, t(user, "order.error"));
+  }
+}
+
+// Check the medical aid cover for an order, of the dependant it is for if
+// any. Orders are placed whatever the result; ones that couldn't be verified
+// are flagged for staff.
+async function checkOrderMembership(user, orderData) {
+  const dependant = orderData.forDependant ? orderData.dependantDetails : null;
+  return verifyMembership(eligibilityChecker, {
+    provider: user.medicalAidProvider,
+    memberNumber: user.medicalAidNumber,
+    scheme: user.scheme,
+    dependentNumber: dependant
+      ? dependant.dependentNumber
+      : user.dependentNumber,
+    surname: dependant ? dependant.lastName : user.surname,
+    dateOfBirth: dependant ? dependant.dateOfBirth : user.dateOfBirth,
+  });
+}
+
+async function sendOrderConfirmation(user, order) {
+  const pharmacyAddress =
+    process.env.PHARMACY_ADDRESS || "our pharmacy (address not set)";
+  const params = { name: user.firstName, orderNumber: order.orderNumber };
+  const thanks =
+    order.orderType === "NEW_PRESCRIPTION" ||
+    order.orderType === "PRESCRIPTION_REFILL"
+      ? t(user, "order.thanksPrescription", params)
+      : t(user, "order.thanks", params);
+  const nextSteps =
+    order.deliveryMethod === "DELIVERY"
+      ? t(user, "order.willDeliver")
+      : t(user, "order.readyForPickup", { address: pharmacyAddress });
+
+  await sendMessage(user, `${thanks} ${nextSteps}`);
+
+  if (order.requiresReview) {
+    const reasons = order.reviewReasons.map((reason) =>
+      t(user, `order.refillReason.${reason}`)
+    );
+    await sendMessage(
+      user,
+      t(user, "order.refillReview", { reasons: reasons.join("; ") })
+    );
+  }
+}
+
+// Refill subscriptions
+async function sendRefillSubscriptionOffer(user) {
+  await sendMessage(
+    user,
+    t(user, "refills.offer"),
+    buttons(user, ["every30Days", "every60Days", "noThanks"])
+  );
+}
+
+async function startRefillSubscription(user, intervalDays) {
+  const order = await Order.findOne({
+    _id: user.conversationState.data.get("orderId"),
+    user: user._id,
+  });
+  if (order) {
+    const subscription = await subscribeToRefills(order, intervalDays);
+    await sendMessage(
+      user,
+      t(user, "refills.subscribed", {
+        days: intervalDays,
+        date: subscription.nextDueAt.toDateString(),
+      })
+    );
+  }
+  return EXIT;
+}
+
+// The subscription a refill reminder conversation was started for
+async function findRemindedSubscription(user) {
+  const subscriptionId = user.conversationState.data.get("subscriptionId");
+  if (!mongoose.isValidObjectId(subscriptionId)) {
+    return null;
+  }
+  // A refill that was skipped or placed since has no open reminder
+  return RefillSubscription.findOne({
+    _id: subscriptionId,
+    user: user._id,
+    status: "ACTIVE",
+    reminderSentAt: { $ne: null },
+  });
+}
+
+async function sendRefillReminder(user) {
+  const subscription = await findRemindedSubscription(user);
+  const prescription =
+    subscription && (await Order.findById(subscription.prescriptionOrder));
+  if (!prescription) {
+    await sendMessage(user, t(user, "refills.unavailable"));
+    return;
+  }
+
+  await sendMessage(
+    user,
+    t(user, "refills.reminder", {
+      name: user.firstName,
+      medications: await describeRefillMedications(user, prescription),
+      date: subscription.nextDueAt.toDateString(),
+    }),
+    buttons(user, ["refill", "skip", "stop"])
+  );
+}
+
+// Place the refill straight from the subscription, without the order flow
+async function acceptRefillReminder(user) {
+  const subscription = await findRemindedSubscription(user);
+  const prescription =
+    subscription && (await Order.findById(subscription.prescriptionOrder));
+  if (!prescription) {
+    await sendMessage(user, t(user, "refills.unavailable"));
+    return EXIT;
+  }
+
+  try {
+    const orderData = {
+      user: user._id,
+      orderNumber: await generateOrderNumber(),
+      ...(await buildRefillOrder(prescription)),
+      deliveryMethod: subscription.deliveryMethod,
+      deliveryAddress: {
+        type: subscription.deliveryAddress?.type,
+        address: subscription.deliveryAddress?.address,
+      },
+      status: "PENDING",
+      statusHistory: [
+        {
+          status: "PENDING",
+          actorType: "PATIENT",
+          user: user._id,
+          reason: "Refill subscription",
+        },
+      ],
+    };
+    orderData.membershipCheck = await checkOrderMembership(user, orderData);
+    const order = new Order(orderData);
+    await order.save();
+
+    subscription.lastOrder = order._id;
+    advanceSubscription(subscription);
+    await subscription.save();
+
+    await sendOrderConfirmation(user, order);
+  } catch (error) {
+    console.error("Error placing subscription refill:", error);
+    await sendMessage(user, t(user, "order.error"));
+  }
+  return EXIT;
+}
+
+async function skipRefillReminder(user) {
+  const subscription = await findRemindedSubscription(user);
+  if (subscription) {
+    advanceSubscription(subscription);
+    await subscription.save();
+    await sendMessage(
+      user,
+      t(user, "refills.skipped", {
+        date: subscription.nextDueAt.toDateString(),
+      })
+    );
+  }
+  return EXIT;
+}
+
+async function stopRefillSubscription(user) {
+  const subscription = await findRemindedSubscription(user);
+  if (subscription) {
+    subscription.status = "STOPPED";
+    subscription.stoppedAt = new Date();
+    subscription.reminderSentAt = undefined;
+    await subscription.save();
+    await sendMessage(user, t(user, "refills.stopped"));
+  }
+  return EXIT;
+}
+
+// Order numbers look like TPB-20240721-0001: branch code, date and a daily
+// sequence taken from an atomic counter, so concurrent orders never collide.
+const ORDER_NUMBER_PATTERN = /^[A-Z0-9]+-\d{8}-\d{4,}$/;
+
+// Ticket references look like TKT-20240721-0001
+const TICKET_NUMBER_PATTERN = /^TKT-\d{8}-\d{4,}$/;
+
+// Atomically take the next number from a sequence that restarts every day
+async function nextDailySequence(name) {
+  const date = new Date();
+  const datePart = [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("");
+  const counterId = `${name}-${datePart}`;
+
+  let counter;
+  try {
+    counter = await Counter.findOneAndUpdate(
+      { _id: counterId },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two concurrent upserts can race to create the day's counter; the loser
+    // gets a duplicate key error and the counter now exists, so try again.
+    if (error.code !== 11000) {
+      throw error;
+    }
+    counter = await Counter.findOneAndUpdate(
+      { _id: counterId },
+      { $inc: { seq: 1 } },
+      { new: true }
+    );
+  }
+
+  return { datePart, seq: String(counter.seq).padStart(4, "0") };
+}
+
+async function generateOrderNumber() {
+  const branchCode = (process.env.BRANCH_CODE || "TPB").toUpperCase();
+  const { datePart, seq } = await nextDailySequence(`order-${branchCode}`);
+  return `${branchCode}-${datePart}-${seq}`;
+}
+
+async function generateTicketNumber() {
+  const { datePart, seq } = await nextDailySequence("ticket");
+  return `TKT-${datePart}-${seq}`;
+}
+
+// A repeated query key arrives as an array and brackets make an object; the
+// list filters only take single values. Returns the first key that isn't one.
+function findNonStringQuery(query, keys) {
+  return keys.find(
+    (key) => query[key] !== undefined && typeof query[key] !== "string"
+  );
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function normalizeOrderNumber(input) {
+  return String(input || "")
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, "");
+}
+
+// Flows the session timeout and the hourly cleanup leave alone: live chats
+// stay open until the patient or staff member ends them, registration waits
+// for the patient however long it takes, and reminders are replaced or closed
+// by the scheduler that sent them
+const UNTIMED_FLOWS = [
+  "MAIN_MENU",
+  "REGISTRATION",
+  "LIVE_CHAT",
+  "REFILL_REMINDER",
+  "DOSE_REMINDER",
+];
+
+async function handleConversation(user, message) {
+  const ctx = { user };
+
+  if (!user.conversationState.currentFlow) {
+    user.conversationState.currentFlow = "MAIN_MENU";
+  }
+
+  if (!conversationEngine.hasFlow(user.conversationState.currentFlow)) {
+    console.error(
+      `Unknown conversation flow: ${user.conversationState.currentFlow}`
+    );
+    await sendMessage(user, t(user, "common.unknownFlow"));
+    await conversationEngine.start(ctx, "MAIN_MENU");
+    return;
+  }
+
+  // Media is only accepted by states that ask for it, e.g. prescription upload
+  if (typeof message !== "string" && !conversationEngine.acceptsMedia(ctx)) {
+    await sendMessage(user, t(user, "common.textOnly"));
+    return;
+  }
+
+  // Buttons in either language route to the same actions. Live chat messages
+  // are relayed as typed.
+  if (
+    typeof message === "string" &&
+    user.conversationState.currentFlow !== "LIVE_CHAT"
+  ) {
+    message = canonicalButton(message) || message;
+  }
+
+  // Check for session timeout (30 minutes)
+  const thirtyMinutesAgo = new Date(Date.now() - 30 * 60 * 1000);
+  if (
+    !UNTIMED_FLOWS.includes(user.conversationState.currentFlow) &&
+    user.conversationState.lastUpdated < thirtyMinutesAgo
+  ) {
+    await sendMessage(user, t(user, "common.sessionTimeout"));
+    await conversationEngine.start(ctx, "MAIN_MENU");
+    return;
+  }
+
+  // Patients whose scheme needs confirming are asked before anything else
+  if (
+    user.conversationState.currentFlow === "MAIN_MENU" &&
+    user.schemeNeedsConfirmation
+  ) {
+    await conversationEngine.start(ctx, "UPDATE_SCHEME");
+    return;
+  }
+
+  await conversationEngine.handle(ctx, message);
+
+  // Update the last interaction time
+  user.lastInteraction = new Date();
+  await user.save();
+}
+
+async function sendOrderList(user) {
+  // Fetch the last 10 orders for the user
+  const orders = await Order.find({ user: user._id })
+    .sort({ createdAt: -1 })
+    .limit(10);
+
+  if (orders.length === 0) {
+    await sendMessage(user, t(user, "orders.none"));
+    return;
+  }
+
+  let orderList = `${t(user, "orders.heading")}\n\n`;
+  orders.forEach((order, index) => {
+    orderList += `${index + 1}. ${
+      order.orderNumber
+    } - ${order.createdAt.toDateString()}\n`;
+  });
+  orderList += `\n${t(user, "orders.selectInstructions")}`;
+
+  await sendMessage(user, orderList);
+  user.conversationState.data.set(
+    "orderIds",
+    orders.map((order) => order._id.toString())
+  );
+}
+
+async function handleOrderSelection(user, message) {
+  let selectedOrderId;
+  const orderNumber = normalizeOrderNumber(message);
+
+  if (ORDER_NUMBER_PATTERN.test(orderNumber)) {
+    // Look the order up by its order number
+    const order = await Order.findOne({ user: user._id, orderNumber }, "_id");
+    selectedOrderId = order?._id.toString();
+  } else {
+    const orderIds = user.conversationState.data.get("orderIds") || [];
+    const selectedIndex = parseInt(message) - 1;
+    if (
+      !isNaN(selectedIndex) &&
+      selectedIndex >= 0 &&
+      selectedIndex < orderIds.length
+    ) {
+      selectedOrderId = orderIds[selectedIndex];
+    }
+  }
+
+  if (!selectedOrderId) {
+    await sendMessage(user, t(user, "orders.invalidSelection"));
+    return;
+  }
+
+  // The order itself is loaded by id when its details are shown
+  user.conversationState.data.set("selectedOrderId", selectedOrderId);
+  return "ORDER_DETAILS";
+}
+
+// Patients can cancel until a pharmacist starts on the order, change how it
+// reaches them until it is ready or dispatched, and add notes while it is open
+const PATIENT_CANCELLABLE_STATUSES = ["PENDING"];
+const PATIENT_EDITABLE_STATUSES = ["PENDING", "PROCESSING"];
+const PATIENT_NOTE_STATUSES = [
+  "PENDING",
+  "PROCESSING",
+  "READY_FOR_PICKUP",
+  "OUT_FOR_DELIVERY",
+];
+
+async function findSelectedOrder(user) {
+  return Order.findOne({
+    _id: user.conversationState.data.get("selectedOrderId"),
+    user: user._id,
+  });
+}
+
+async function sendOrderDetails(user) {
+  const order = await findSelectedOrder(user);
+  if (!order) {
+    await sendMessage(user, t(user, "orders.notFound"));
+    return;
+  }
+
+  let orderDetails = `${t(user, "orders.details", {
+    orderNumber: order.orderNumber,
+    date: order.createdAt.toDateString(),
+    status: t(user, `orders.status.${order.status}`),
+    type: t(user, ORDER_TYPE_KEYS[order.orderType]),
+    deliveryMethod: t(user, `orders.deliveryMethod.${order.deliveryMethod}`),
+  })}\n`;
+  if (order.deliveryMethod === "DELIVERY" && order.deliveryAddress?.address) {
+    orderDetails += `${t(user, "orders.deliveryAddress", {
+      address: order.deliveryAddress.address,
+    })}\n`;
+  }
+  if (order.patientNotes.length > 0) {
+    orderDetails += `\n${t(user, "orders.notesHeading")}\n${order.patientNotes
+      .map((note) => `- ${note.body}`)
+      .join("\n")}\n`;
+  }
+  orderDetails += `\n${t(
+    user,
+    "orders.timelineHeading"
+  )}\n${formatOrderTimeline(user, order)}\n`;
+  orderDetails += `\n${t(user, "orders.detailsFooter")}`;
+
+  const actions = [];
+  if (PATIENT_CANCELLABLE_STATUSES.includes(order.status)) {
+    actions.push("cancelOrder");
+  }
+  if (PATIENT_EDITABLE_STATUSES.includes(order.status)) {
+    actions.push("changeDelivery");
+  }
+  if (PATIENT_NOTE_STATUSES.includes(order.status)) {
+    actions.push("addNote");
+  }
+
+  await sendMessage(
+    user,
+    orderDetails,
+    actions.length > 0 ? buttons(user, actions) : null
+  );
+}
+
+// Timeline entries say who made the change; system changes aren't attributed
+const TIMELINE_ACTOR_KEYS = {
+  PATIENT: "orders.timelineByPatient",
+  STAFF: "orders.timelineByStaff",
+};
+
+function formatOrderTimeline(user, order) {
+  // Orders placed before the history was kept only have their current status
+  const history =
+    order.statusHistory.length > 0
+      ? order.statusHistory
+      : [{ status: order.status, timestamp: order.updatedAt }];
+
+  return history
+    .map((entry) => {
+      const when = entry.timestamp.toLocaleString("en-GB", {
+        dateStyle: "medium",
+        timeStyle: "short",
+      });
+      const line = t(
+        user,
+        TIMELINE_ACTOR_KEYS[entry.actorType] || "orders.timelineEntry",
+        { when, status: t(user, `orders.status.${entry.status}`) }
+      );
+      return entry.reason ? `${line} (${entry.reason})` : line;
+    })
+    .join("\n");
+}
+
+async function sendCancelOrderConfirmation(user) {
+  const order = await findSelectedOrder(user);
+  await sendMessage(
+    user,
+    t(user, "orders.confirmCancel", { orderNumber: order?.orderNumber }),
+    buttons(user, ["confirmCancel", "keepOrder"])
+  );
+}
+
+async function cancelOrderByPatient(user) {
+  const order = await findSelectedOrder(user);
+  const notAllowed = t(user, "orders.cannotCancel");
+  if (!order || !PATIENT_CANCELLABLE_STATUSES.includes(order.status)) {
+    await sendMessage(user, notAllowed);
+    return "ORDER_DETAILS";
+  }
+
+  try {
+    await transitionOrderStatus(order, "CANCELLED", {
+      actor: { actorType: "PATIENT", user: user._id },
+      reason: "Cancelled by the patient",
+      push: {
+        auditHistory: {
+          action: "CANCEL",
+          actor: user._id,
+          changes: { status: { from: order.status, to: "CANCELLED" } },
+        },
+      },
+    });
+  } catch (error) {
+    if (!(error instanceof OrderStatusConflictError)) {
+      throw error;
+    }
+    await sendMessage(user, notAllowed);
+    return "ORDER_DETAILS";
+  }
+
+  await sendMessage(
+    user,
+    t(user, "orders.cancelled", { orderNumber: order.orderNumber })
+  );
+  return "ORDER_DETAILS";
+}
+
+async function changeOrderDelivery(user, deliveryMethod, deliveryAddress) {
+  const order = await findSelectedOrder(user);
+  const next = { deliveryMethod, deliveryAddress: deliveryAddress || {} };
+
+  const updated =
+    order &&
+    (await Order.findOneAndUpdate(
+      { _id: order._id, status: { $in: PATIENT_EDITABLE_STATUSES } },
+      {
+        $set: next,
+        $push: {
+          auditHistory: {
+            action: "CHANGE_DELIVERY",
+            actor: user._id,
+            changes: {
+              deliveryMethod: {
+                from: order.deliveryMethod,
+                to: deliveryMethod,
+              },
+              deliveryAddress: {
+                from: {
+                  type: order.deliveryAddress?.type,
+                  address: order.deliveryAddress?.address,
+                },
+                to: next.deliveryAddress,
+              },
+            },
+          },
+        },
+      },
+      { new: true }
+    ));
+
+  if (!updated) {
+    await sendMessage(user, t(user, "orders.cannotChangeDelivery"));
+    return "ORDER_DETAILS";
+  }
+
+  await sendMessage(
+    user,
+    t(user, "orders.deliveryChanged", { orderNumber: updated.orderNumber })
+  );
+  return "ORDER_DETAILS";
+}
+
+async function addOrderNote(user, note) {
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: user.conversationState.data.get("selectedOrderId"),
+      user: user._id,
+      status: { $in: PATIENT_NOTE_STATUSES },
+    },
+    {
+      $push: {
+        patientNotes: { body: note },
+        auditHistory: { action: "ADD_NOTE", actor: user._id, note },
+      },
+    },
+    { new: true }
+  );
+
+  await sendMessage(
+    user,
+    updated
+      ? t(user, "orders.noteAdded", { orderNumber: updated.orderNumber })
+      : t(user, "orders.noteClosed")
+  );
+  return "ORDER_DETAILS";
+}
+
+// Consultations and enquiries are kept as ServiceRequest tickets. The first
+// message opens the ticket, later messages are added to its thread.
+function serviceRequestFlow(firstStep, promptKey, serviceType, replyKey) {
+  return {
+    initial: firstStep,
+    states: {
+      [firstStep]: {
+        prompt: ({ user }) => sendMessage(user, t(user, promptKey)),
+        back: EXIT,
+        handle: ({ user }, input) =>
+          openServiceRequest(user, input, serviceType, replyKey),
+      },
+      FOLLOW_UP: {
+        back: EXIT,
+        handle: ({ user }, input) => addServiceRequestMessage(user, input),
+      },
+    },
+  };
+}
+
+async function openServiceRequest(user, message, serviceType, replyKey) {
+  const ticket = await ServiceRequest.create({
+    userId: user._id,
+    ticketNumber: await generateTicketNumber(),
+    serviceType,
+    notes: message,
+    messages: [{ sender: "PATIENT", body: message }],
+  });
+  user.conversationState.data.set("ticketId", ticket._id.toString());
+
+  await sendMessage(
+    user,
+    t(user, "tickets.opened", {
+      reply: t(user, replyKey),
+      ticketNumber: ticket.ticketNumber,
+    })
+  );
+  return "FOLLOW_UP";
+}
+
+async function addServiceRequestMessage(user, message) {
+  const ticket = await ServiceRequest.findOneAndUpdate(
+    {
+      _id: user.conversationState.data.get("ticketId"),
+      userId: user._id,
+      status: { $nin: ["Completed", "Cancelled"] },
+    },
+    { $push: { messages: { sender: "PATIENT", body: message } } },
+    { new: true }
+  );
+
+  if (!ticket) {
+    await sendMessage(user, t(user, "tickets.closed"));
+    return EXIT;
+  }
+
+  await sendMessage(
+    user,
+    t(user, "tickets.messageAdded", { ticketNumber: ticket.ticketNumber })
+  );
+}
+
+// Live chat
+function describeStaff(user, staff) {
+  const role = t(user, `staff.role.${staff.role}`);
+  const name = staff.userId?.firstName;
+  return name
+    ? t(user, "staff.named", { role, name })
+    : t(user, "staff.unnamed", { role: role.toLowerCase() });
+}
+
+// Hand the patient on a ticket over to a staff member. While the chat is
+// active, patient messages are relayed to the staff member instead of being
+// treated as menu input.
+async function startLiveChat(ticket, staff) {
+  ticket.assignedTo = staff._id;
+  ticket.status = "In Progress";
+  ticket.liveChat = { active: true, startedAt: new Date() };
+  await ticket.save();
+
+  const contact = await User.findById(ticket.userId, "phoneNumber");
+  await runForPatient(contact, async (patient) => {
+    await conversationEngine.start({ user: patient }, "LIVE_CHAT", {
+      ticketId: ticket._id.toString(),
+      staffId: staff._id.toString(),
+    });
+
+    await sendMessage(
+      patient,
+      t(patient, "liveChat.started", {
+        staff: describeStaff(patient, staff),
+        ticketNumber: ticket.ticketNumber,
+      }),
+      buttons(patient, ["endChat"])
+    );
+    if (staff.userId?.phoneNumber) {
+      await sendMessage(
+        staff.userId,
+        t(staff.userId, "liveChat.staffStarted", {
+          ticketNumber: ticket.ticketNumber,
+          patient: patient.firstName || patient.phoneNumber,
+        })
+      );
+    }
+  });
+}
+
+// Pass the patient's user document when the patient is the one ending the
+// chat, so their conversation state is reset on the copy being handled.
+// Otherwise the patient is loaded in turn with their messages.
+async function endLiveChat(ticket, endedBy, patientUser = null) {
+  ticket.liveChat.active = false;
+  ticket.liveChat.endedAt = new Date();
+  ticket.liveChat.endedBy = endedBy;
+  await ticket.save();
+
+  const returnToMenu = async (patient) => {
+    if (patient.conversationState.currentFlow !== "LIVE_CHAT") {
+      return;
+    }
+    await sendMessage(
+      patient,
+      t(patient, "liveChat.ended", { ticketNumber: ticket.ticketNumber })
+    );
+    await conversationEngine.start({ user: patient }, "MAIN_MENU");
+  };
+  if (patientUser) {
+    await returnToMenu(patientUser);
+  } else {
+    const contact = await User.findById(ticket.userId, "phoneNumber");
+    if (contact) {
+      await runForPatient(contact, returnToMenu);
+    }
+  }
+
+  const staff = await Staff.findById(ticket.assignedTo).populate("userId");
+  if (staff?.userId?.phoneNumber) {
+    await sendMessage(
+      staff.userId,
+      t(
+        staff.userId,
+        endedBy === "PATIENT"
+          ? "liveChat.endedByPatient"
+          : "liveChat.endedByStaff",
+        { ticketNumber: ticket.ticketNumber }
+      )
+    );
+  }
+}
+
+async function handleLiveChat(user, message) {
+  const ticket = await ServiceRequest.findById(
+    user.conversationState.data.get("ticketId")
+  );
+
+  if (!ticket || !ticket.liveChat.active) {
+    await sendMessage(user, t(user, "liveChat.closed"));
+    return EXIT;
+  }
+
+  if (END_CHAT_COMMANDS.includes(message.trim().toLowerCase())) {
+    await endLiveChat(ticket, "PATIENT", user);
+    return;
+  }
+
+  ticket.messages.push({ sender: "PATIENT", body: message });
+  await ticket.save();
+
+  const staff = await Staff.findById(ticket.assignedTo).populate("userId");
+  if (staff?.userId?.phoneNumber) {
+    await sendMessage(
+      staff.userId,
+      `[${ticket.ticketNumber}] ${
+        user.firstName || user.phoneNumber
+      }: ${message}`
+    );
+  }
+}
+
+// Ticket statuses and service types as the patient sees them
+function describeTicketStatus(user, ticket) {
+  return t(user, `tickets.status.${ticket.status}`);
+}
+
+function describeServiceType(user, ticket) {
+  return t(user, `tickets.type.${ticket.serviceType}`);
+}
+
+async function sendTicketList(user) {
+  const tickets = await ServiceRequest.find({ userId: user._id })
+    .sort({ createdAt: -1 })
+    .limit(10);
+
+  if (tickets.length === 0) {
+    await sendMessage(user, t(user, "tickets.none"));
+    return;
+  }
+
+  let ticketList = `${t(user, "tickets.heading")}\n\n`;
+  tickets.forEach((ticket, index) => {
+    ticketList += `${index + 1}. ${ticket.ticketNumber} - ${describeServiceType(
+      user,
+      ticket
+    )} - ${describeTicketStatus(user, ticket)}\n`;
+  });
+  ticketList += `\n${t(user, "tickets.selectInstructions")}`;
+
+  await sendMessage(user, ticketList);
+  user.conversationState.data.set(
+    "tickets",
+    tickets.map((ticket) => ticket.ticketNumber)
+  );
+}
+
+async function handleTicketSelection(user, message) {
+  const tickets = user.conversationState.data.get("tickets") || [];
+  const selectedIndex = parseInt(message) - 1;
+  const ticketNumber = TICKET_NUMBER_PATTERN.test(normalizeOrderNumber(message))
+    ? normalizeOrderNumber(message)
+    : tickets[selectedIndex];
+
+  if (!ticketNumber) {
+    await sendMessage(user, t(user, "tickets.invalidSelection"));
+    return;
+  }
+
+  await sendTicketDetails(user, ticketNumber);
+}
+
+async function sendTicketDetails(user, ticketNumber) {
+  const ticket = await ServiceRequest.findOne({
+    userId: user._id,
+    ticketNumber,
+  });
+
+  if (!ticket) {
+    await sendMessage(user, t(user, "tickets.notFound", { ticketNumber }));
+    return;
+  }
+
+  let details = `${t(user, "tickets.details", {
+    ticketNumber: ticket.ticketNumber,
+    type: describeServiceType(user, ticket),
+    date: ticket.createdAt.toDateString(),
+    status: describeTicketStatus(user, ticket),
+  })}\n`;
+
+  const lastMessages = ticket.messages.slice(-5);
+  if (lastMessages.length > 0) {
+    details += `\n${t(user, "tickets.latestMessages")}\n`;
+    lastMessages.forEach((entry) => {
+      details += `${t(
+        user,
+        entry.sender === "PATIENT"
+          ? "tickets.messageFromPatient"
+          : "tickets.messageFromStaff",
+        { body: entry.body }
+      )}\n`;
+    });
+  }
+  details += `\n${t(user, "common.backToMainMenu")}`;
+
+  await sendMessage(user, details);
+}
+
+// Conversation flows, run by conversationEngine (see engine.js). State names
+// are stored on users, so renaming one sends anyone in that state back to
+// the start of the flow.
+const conversationFlows = {
+  REGISTRATION: registrationFlow(),
+
+  MAIN_MENU: {
+    initial: "MENU",
+    states: {
+      MENU: {
+        prompt: ({ user }) => sendMainMenu(user),
+        back: "MENU",
+        handle: ({ user }, input) => handleMainMenu(user, input),
+      },
+    },
+  },
+
+  PLACE_ORDER: {
+    initial: "MEDICATION_TYPE",
+    exitOnZero: true,
+    states: {
+      MEDICATION_TYPE: {
+        prompt: ({ user }) => sendMedicationTypeOptions(user),
+        back: EXIT,
+        on: {
+          Prescription: "PRESCRIPTION_OPTIONS",
+          OTC: ({ user }) => {
+            user.conversationState.data.set("orderType", "OVER_THE_COUNTER");
+            return "OTC_MEDICATION_LIST";
+          },
+        },
+      },
+      PRESCRIPTION_OPTIONS: {
+        prompt: ({ user }) => sendPrescriptionOptions(user),
+        back: "MEDICATION_TYPE",
+        on: {
+          "Prescription Refill": ({ user }) => {
+            user.conversationState.data.set("orderType", "PRESCRIPTION_REFILL");
+            return "SELECT_REFILL";
+          },
+          "New Prescription": async ({ user }) => {
+            user.conversationState.data.set("orderType", "NEW_PRESCRIPTION");
+            await discardPrescriptionUpload(user);
+            return "UPLOAD_PRESCRIPTION";
+          },
+        },
+      },
+      SELECT_REFILL: {
+        prompt: ({ user }) => sendRefillOptions(user),
+        back: "PRESCRIPTION_OPTIONS",
+        handle: ({ user }, input) => handleRefillSelection(user, input),
+      },
+      UPLOAD_PRESCRIPTION: {
+        prompt: ({ user }) => sendUploadPrescriptionPrompt(user),
+        acceptsMedia: true,
+        back: async ({ user }) => {
+          await discardPrescriptionUpload(user);
+          return "PRESCRIPTION_OPTIONS";
+        },
+        handle: ({ user }, input) => handlePrescriptionUpload(user, input),
+      },
+      NEW_PRESCRIPTION_FOR: {
+        prompt: ({ user }) => sendNewPrescriptionOptions(user),
+        back: "UPLOAD_PRESCRIPTION",
+        on: {
+          "Principal Member": ({ user }, input) => {
+            user.conversationState.data.set("prescriptionFor", input);
+            user.conversationState.data.delete("dependantId");
+            return nextOrderStep(user, "DELIVERY_METHOD");
+          },
+          Dependant: ({ user }, input) => {
+            user.conversationState.data.set("prescriptionFor", input);
+            return "SELECT_DEPENDANT";
+          },
+        },
+      },
+      SELECT_DEPENDANT: {
+        prompt: ({ user }) => sendDependantChoice(user),
+        back: "NEW_PRESCRIPTION_FOR",
+        handle: ({ user }, input) => chooseOrderDependant(user, input),
+      },
+      ...addDependantStates("SELECT_DEPENDANT", (user, dependant) => {
+        user.conversationState.data.set(
+          "dependantId",
+          dependant._id.toString()
+        );
+        return nextOrderStep(user, "DELIVERY_METHOD");
+      }),
+      OTC_MEDICATION_LIST: {
+        prompt: ({ user }) => sendOtcItemPrompt(user),
+        back: ({ user }) =>
+          (user.conversationState.data.get("cart") || []).length > 0
+            ? "OTC_CART"
+            : "MEDICATION_TYPE",
+        handle: ({ user }, input) => addItemsToCart(user, input),
+      },
+      OTC_CART: {
+        prompt: ({ user }) => sendCart(user),
+        back: "OTC_MEDICATION_LIST",
+        on: {
+          "Add Item": "OTC_MEDICATION_LIST",
+          "Remove Item": ({ user }) => removeCartItemTarget(user),
+          Checkout: ({ user }) => checkoutCart(user),
+        },
+      },
+      OTC_REMOVE_ITEM: {
+        prompt: ({ user }) => sendRemoveCartItemPrompt(user),
+        back: "OTC_CART",
+        handle: ({ user }, input) => handleRemoveCartItem(user, input),
+      },
+      DELIVERY_METHOD: {
+        prompt: ({ user }) => sendDeliveryOptions(user),
+        back: ({ user }) => deliveryMethodBackTarget(user),
+        on: {
+          Delivery: ({ user }) => chooseDeliveryMethod(user, "DELIVERY"),
+          Pickup: ({ user }) => chooseDeliveryMethod(user, "PICKUP"),
+        },
+      },
+      DELIVERY_ADDRESS_TYPE: {
+        prompt: ({ user }) => sendDeliveryAddressOptions(user),
+        back: "DELIVERY_METHOD",
+        on: { Work: "ENTER_WORK_ADDRESS", Home: "ENTER_HOME_ADDRESS" },
+      },
+      ENTER_WORK_ADDRESS: {
+        prompt: ({ user }) =>
+          sendMessage(user, t(user, "order.enterWorkAddress")),
+        back: "DELIVERY_ADDRESS_TYPE",
+        handle: ({ user }, input) => setDeliveryAddress(user, "WORK", input),
+      },
+      ENTER_HOME_ADDRESS: {
+        prompt: ({ user }) =>
+          sendMessage(user, t(user, "order.enterHomeAddress")),
+        back: "DELIVERY_ADDRESS_TYPE",
+        handle: ({ user }, input) => setDeliveryAddress(user, "HOME", input),
+      },
+      // Nothing is saved until the patient confirms the summary
+      CONFIRM_ORDER: {
+        prompt: ({ user }) => sendOrderSummary(user),
+        back: "DELIVERY_METHOD",
+        on: {
+          Confirm: ({ user }) => confirmOrder(user),
+          Edit: "EDIT_ORDER",
+          Cancel: ({ user }) => cancelOrderDraft(user),
+        },
+      },
+      EDIT_ORDER: {
+        prompt: ({ user }) => sendEditOrderOptions(user),
+        back: "CONFIRM_ORDER",
+        on: {
+          Medication: ({ user }) => editMedicationTarget(user),
+          Patient: ({ user }) =>
+            user.conversationState.data.get("orderType") === "NEW_PRESCRIPTION"
+              ? "NEW_PRESCRIPTION_FOR"
+              : INVALID,
+          "Delivery Details": "DELIVERY_METHOD",
+        },
+      },
+    },
+  },
+
+  MANAGE_DEPENDANTS: {
+    initial: "LIST_DEPENDANTS",
+    exitOnZero: true,
+    states: {
+      LIST_DEPENDANTS: {
+        prompt: ({ user }) => sendDependantList(user),
+        back: EXIT,
+        on: {
+          "Add Dependant": "ADD_DEPENDANT_FIRST_NAME",
+          "Remove Dependant": "REMOVE_DEPENDANT",
+        },
+      },
+      REMOVE_DEPENDANT: {
+        prompt: ({ user }) =>
+          sendNumberedDependants(user, t(user, "dependants.removePrompt")),
+        back: "LIST_DEPENDANTS",
+        handle: ({ user }, input) => removeDependant(user, input),
+      },
+      ...addDependantStates("LIST_DEPENDANTS", () => "LIST_DEPENDANTS"),
+    },
+  },
+
+  // Started from the main menu for patients whose scheme needs confirming,
+  // e.g. one typed in before schemes were offered as a list
+  UPDATE_SCHEME: {
+    initial: "CHOOSE_SCHEME",
+    states: {
+      CHOOSE_SCHEME: {
+        prompt: ({ user }) => sendSchemeUpdatePrompt(user),
+        // There's nowhere to go back to, so "00" keeps the details too rather
+        // than being saved as a scheme name
+        back: ({ user }) => keepScheme(user),
+        on: { 0: ({ user }) => keepScheme(user) },
+        handle: ({ user }, input) => updateScheme(user, input),
+      },
+    },
+  },
+
+  // Where sendNotification delivers order and ticket updates
+  NOTIFICATION_SETTINGS: {
+    initial: "CHOOSE_CHANNEL",
+    exitOnZero: true,
+    states: {
+      CHOOSE_CHANNEL: {
+        prompt: ({ user }) => sendNotificationOptions(user),
+        back: EXIT,
+        on: {
+          WhatsApp: ({ user }) => setNotificationPreference(user, "WhatsApp"),
+          SMS: ({ user }) => setNotificationPreference(user, "SMS"),
+          Email: "ENTER_EMAIL",
+        },
+      },
+      ENTER_EMAIL: {
+        prompt: ({ user }) =>
+          sendMessage(user, t(user, "notifications.enterEmail")),
+        back: "CHOOSE_CHANNEL",
+        handle: ({ user }, input) => setNotificationEmail(user, input),
+      },
+    },
+  },
+
+  VIEW_ORDER_STATUS: {
+    initial: "SELECT_ORDER",
+    exitOnZero: true,
+    states: {
+      SELECT_ORDER: {
+        prompt: ({ user }) => sendOrderList(user),
+        back: EXIT,
+        on: { B: "SELECT_ORDER", b: "SELECT_ORDER" },
+        handle: ({ user }, input) => handleOrderSelection(user, input),
+      },
+      ORDER_DETAILS: {
+        prompt: ({ user }) => sendOrderDetails(user),
+        back: EXIT,
+        on: {
+          B: "SELECT_ORDER",
+          b: "SELECT_ORDER",
+          "Cancel Order": "CONFIRM_CANCEL",
+          "Change Delivery": "CHANGE_DELIVERY_METHOD",
+          "Add Note": "ENTER_ORDER_NOTE",
+        },
+        handle: ({ user }, input) => handleOrderSelection(user, input),
+      },
+      CONFIRM_CANCEL: {
+        prompt: ({ user }) => sendCancelOrderConfirmation(user),
+        back: "ORDER_DETAILS",
+        on: {
+          "Yes, Cancel Order": ({ user }) => cancelOrderByPatient(user),
+          "Keep Order": "ORDER_DETAILS",
+        },
+      },
+      CHANGE_DELIVERY_METHOD: {
+        prompt: ({ user }) => sendDeliveryOptions(user),
+        back: "ORDER_DETAILS",
+        on: {
+          Delivery: "CHANGE_ADDRESS_TYPE",
+          Pickup: ({ user }) => changeOrderDelivery(user, "PICKUP"),
+        },
+      },
+      CHANGE_ADDRESS_TYPE: {
+        prompt: ({ user }) => sendDeliveryAddressOptions(user),
+        back: "CHANGE_DELIVERY_METHOD",
+        on: { Work: "CHANGE_WORK_ADDRESS", Home: "CHANGE_HOME_ADDRESS" },
+      },
+      CHANGE_WORK_ADDRESS: {
+        prompt: ({ user }) =>
+          sendMessage(user, t(user, "order.enterWorkAddress")),
+        back: "CHANGE_ADDRESS_TYPE",
+        handle: ({ user }, input) =>
+          changeOrderDelivery(user, "DELIVERY", {
+            type: "WORK",
+            address: input,
+          }),
+      },
+      CHANGE_HOME_ADDRESS: {
+        prompt: ({ user }) =>
+          sendMessage(user, t(user, "order.enterHomeAddress")),
+        back: "CHANGE_ADDRESS_TYPE",
+        handle: ({ user }, input) =>
+          changeOrderDelivery(user, "DELIVERY", {
+            type: "HOME",
+            address: input,
+          }),
+      },
+      ENTER_ORDER_NOTE: {
+        prompt: ({ user }) => sendMessage(user, t(user, "orders.notePrompt")),
+        back: "ORDER_DETAILS",
+        handle: ({ user }, input) => addOrderNote(user, input),
+      },
+    },
+  },
+
+  PHARMACY_CONSULTATION: serviceRequestFlow(
+    "ENTER_ISSUE",
+    "menu.pharmacyIssue",
+    "Pharmacy Consultation",
+    "tickets.replyPharmacy"
+  ),
+  DOCTOR_CONSULTATION: serviceRequestFlow(
+    "ENTER_ISSUE",
+    "menu.doctorIssue",
+    "Doctor Consultation",
+    "tickets.replyDoctor"
+  ),
+  GENERAL_ENQUIRY: serviceRequestFlow(
+    "ENTER_ENQUIRY",
+    "menu.enquiry",
+    "General Enquiry",
+    "tickets.replyEnquiry"
+  ),
+
+  VIEW_TICKETS: {
+    initial: "SELECT_TICKET",
+    states: {
+      SELECT_TICKET: {
+        prompt: ({ user }) => sendTicketList(user),
+        back: EXIT,
+        handle: ({ user }, input) => handleTicketSelection(user, input),
+      },
+    },
+  },
+
+  // Offered after a prescription order is placed
+  REFILL_SUBSCRIPTION: {
+    initial: "OFFER",
+    exitOnZero: true,
+    states: {
+      OFFER: {
+        prompt: ({ user }) => sendRefillSubscriptionOffer(user),
+        back: EXIT,
+        on: {
+          "Every 30 Days": ({ user }) => startRefillSubscription(user, 30),
+          "Every 60 Days": ({ user }) => startRefillSubscription(user, 60),
+          "No Thanks": EXIT,
+        },
+      },
+    },
+  },
+
+  // Started by sendRefillReminders ahead of a subscription refill
+  REFILL_REMINDER: {
+    initial: "RESPOND",
+    exitOnZero: true,
+    states: {
+      RESPOND: {
+        prompt: ({ user }) => sendRefillReminder(user),
+        back: EXIT,
+        on: {
+          Refill: ({ user }) => acceptRefillReminder(user),
+          Skip: ({ user }) => skipRefillReminder(user),
+          Stop: ({ user }) => stopRefillSubscription(user),
+        },
+      },
+    },
+  },
+
+  // Started by sendDoseReminders when a dose is due
+  DOSE_REMINDER: {
+    initial: "RESPOND",
+    exitOnZero: true,
+    states: {
+      RESPOND: {
+        prompt: ({ user }) => sendDoseReminder(user),
+        back: EXIT,
+        on: {
+          Taken: ({ user }) => answerDoseReminder(user, "TAKEN"),
+          Snooze: ({ user }) => answerDoseReminder(user, "SNOOZE"),
+          Skip: ({ user }) => answerDoseReminder(user, "SKIPPED"),
+        },
+      },
+    },
+  },
+
+  // Started by staff through startLiveChat; every message is relayed
+  LIVE_CHAT: {
+    initial: "CHAT",
+    states: {
+      CHAT: {
+        handle: ({ user }, input) => handleLiveChat(user, input),
+      },
+    },
+  },
+};
+
+const conversationEngine = new FlowEngine(conversationFlows, {
+  home: "MAIN_MENU",
+  save: ({ user }) => user.save(),
+  onInvalid: ({ user }) => sendMessage(user, t(user, "common.invalidOption")),
+  // However the patient leaves the order flow ("0", going back out of it,
+  // the session timeout or a live chat taking over), uploads that weren't
+  // submitted are deleted
+  onLeave: (ctx, state) =>
+    deleteUnattachedPrescriptionFiles(state.data?.get("prescriptionFiles")),
+});
+
+// Periodic cleanup function
+async function cleanupStaleConversationStates() {
+  const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+  try {
+    // Remove uploads from abandoned orders that were never attached to an order
+    const staleUploads = await User.find(
+      {
+        "conversationState.lastUpdated": { $lt: oneHourAgo },
+        "conversationState.currentFlow": { $ne: "LIVE_CHAT" },
+        "conversationState.data.prescriptionFiles": { $exists: true },
+      },
+      { "conversationState.data": 1 }
+    );
+    for (const staleUser of staleUploads) {
+      await deleteUnattachedPrescriptionFiles(
+        staleUser.conversationState.data.get("prescriptionFiles")
+      );
+    }
+
+    await User.updateMany(
+      {
+        "conversationState.lastUpdated": { $lt: oneHourAgo },
+        "conversationState.currentFlow": { $nin: UNTIMED_FLOWS },
+      },
+      {
+        $set: {
+          "conversationState.currentFlow": "MAIN_MENU",
+          "conversationState.currentStep": null,
+          "conversationState.data": {},
+          "conversationState.lastUpdated": new Date(),
+        },
+      }
+    );
+    console.log("Cleaned up stale conversation states");
+  } catch (error) {
+    console.error("Error cleaning up stale conversation states:", error);
+  }
+}
+
+// Run cleanup every hour
+setInterval(cleanupStaleConversationStates, 60 * 60 * 1000);
+
+// Scheduled reminders start their own conversation, so they wait until the
+// patient isn't in the middle of something else
+function isAtMainMenu(user) {
+  return ["MAIN_MENU", null, undefined].includes(
+    user.conversationState?.currentFlow
+  );
+}
+
+// Run `task` with the patient's current user record, in turn with the
+// messages they send, so a reminder or a staff action and a reply never both
+// save the user. Not for use while handling the patient's own message, which
+// already holds their turn.
+async function runForPatient(patient, task) {
+  await inboundQueue.run(patient.phoneNumber, async () => {
+    const user = await User.findById(patient._id);
+    if (user) {
+      await task(user);
+    }
+  });
+}
+
+// Remind patients of upcoming subscription refills. The schedule lives on the
+// subscriptions, so nothing is lost across restarts. Reminders only go to
+// patients at the main menu, or still looking at an earlier reminder, so they
+// never interrupt another conversation; the rest are tried again on the next
+// run.
+async function sendRefillReminders() {
+  const now = new Date();
+  try {
+    const subscriptions = await RefillSubscription.find(
+      dueReminderFilter(now)
+    ).populate("user", "phoneNumber");
+
+    for (const subscription of subscriptions) {
+      if (isRefillMissed(subscription, now)) {
+        console.log(
+          `Skipping missed refill for subscription ${subscription._id}`
+        );
+        advanceSubscription(subscription, now);
+        await subscription.save();
+        continue;
+      }
+
+      if (!subscription.user) {
+        continue;
+      }
+      await runForPatient(subscription.user, async (patient) => {
+        // An unanswered reminder is replaced by the next day's
+        if (
+          !isAtMainMenu(patient) &&
+          patient.conversationState.currentFlow !== "REFILL_REMINDER"
+        ) {
+          return;
+        }
+        subscription.reminderSentAt = now;
+        await subscription.save();
+        await conversationEngine.start({ user: patient }, "REFILL_REMINDER", {
+          subscriptionId: subscription._id.toString(),
+        });
+      });
+    }
+  } catch (error) {
+    console.error("Error sending refill reminders:", error);
+  }
+}
+
+setInterval(sendRefillReminders, 15 * 60 * 1000);
+
+// Return patients to the main menu once the dose they were reminded of has
+// been marked missed, so an unanswered reminder doesn't hold up later ones
+async function closeMissedDoseReminders() {
+  const contacts = await User.find(
+    { "conversationState.currentFlow": "DOSE_REMINDER" },
+    "phoneNumber"
+  );
+  for (const contact of contacts) {
+    await runForPatient(contact, async (patient) => {
+      if (patient.conversationState.currentFlow !== "DOSE_REMINDER") {
+        return;
+      }
+      const doseId = patient.conversationState.data.get("doseId");
+      const dose =
+        mongoose.isValidObjectId(doseId) && (await Dose.findById(doseId));
+      if (dose && dose.status !== "MISSED") {
+        return;
+      }
+      if (dose) {
+        await sendMessage(
+          patient,
+          t(patient, "adherence.missed", { medication: describeDose(dose) })
+        );
+      }
+      await conversationEngine.start({ user: patient }, "MAIN_MENU");
+    });
+  }
+}
+
+// Remind patients to take their medication. One reminder is open per patient
+// at a time; answering it moves straight on to the next due dose, and a newly
+// due dose replaces a reminder that hasn't been answered.
+async function sendDoseReminders() {
+  const now = new Date();
+  try {
+    await scheduleDoses(now);
+    await markMissedDoses(now);
+    await closeMissedDoseReminders();
+
+    for (const userId of await usersWithDueDoses(now)) {
+      const contact = await User.findById(userId, "phoneNumber");
+      if (!contact) {
+        continue;
+      }
+      await runForPatient(contact, async (patient) => {
+        if (
+          !isAtMainMenu(patient) &&
+          patient.conversationState.currentFlow !== "DOSE_REMINDER"
+        ) {
+          return;
+        }
+        const dose = await claimDueDose(patient._id, now);
+        if (dose) {
+          await conversationEngine.start({ user: patient }, "DOSE_REMINDER", {
+            doseId: dose._id.toString(),
+          });
+        }
+      });
+    }
+  } catch (error) {
+    console.error("Error sending dose reminders:", error);
+  }
+}
+
+setInterval(sendDoseReminders, 5 * 60 * 1000);
+
+// Reject webhook requests that weren't signed by Meta with our app secret
+function verifyWebhookSignature(req, res, next) {
+  if (!process.env.WHATSAPP_APP_SECRET) {
+    logRejectedWebhook(req, "app_secret_not_configured");
+    return res.sendStatus(500);
+  }
+  if (
+    !verifySignature(
+      req.rawBody,
+      req.get("X-Hub-Signature-256"),
+      process.env.WHATSAPP_APP_SECRET
+    )
+  ) {
+    logRejectedWebhook(req, "invalid_signature");
+    return res.sendStatus(401);
+  }
+  next();
+}
+
+// Handle a single inbound message from a patient
+async function processInboundMessage(message) {
+  const from = message.from;
+  const channel = message.channel || "WhatsApp";
+  let messageBody = message.text?.body || "";
+
+  // Handle button and list responses
+  const reply =
+    message.interactive?.button_reply || message.interactive?.list_reply;
+  if (reply) {
+    messageBody = reply.title;
+  }
+
+  // Forward photos and documents as media messages
+  if (message.type === "image" || message.type === "document") {
+    const media = message[message.type];
+    messageBody = {
+      type: message.type,
+      media: {
+        id: media.id,
+        mimeType: media.mime_type,
+        fileName: media.filename,
+        caption: media.caption,
+      },
+    };
+  }
+
+  let user;
+  try {
+    user = await User.findOne({ phoneNumber: from });
+
+    if (!user) {
+      user = new User({
+        phoneNumber: from,
+        activeChannel: channel,
+        schemaVersion: USER_SCHEMA_VERSION,
+      });
+      await user.save();
+      await sendWelcomeMessage(user);
+    } else {
+      // A numbered reply picks one of the options we sent last turn
+      const menuOptions = user.menuOptions;
+      if (channel !== "WhatsApp" && typeof messageBody === "string") {
+        messageBody =
+          menuOptionFromReply(messageBody, menuOptions) || messageBody;
+      }
+
+      user.lastInteraction = new Date();
+      user.activeChannel = channel;
+      user.menuOptions = [];
+      await user.save();
+
+      if (!user.isRegistrationComplete) {
+        await handleRegistration(user, messageBody);
+      } else {
+        await handleConversation(user, messageBody);
+      }
+    }
+  } catch (error) {
+    console.error("Error processing webhook:", error);
+    // Send a generic error message to the user
+    await sendMessage(user || from, t(user, "common.error"));
+  }
+}
+
+const inboundQueue = new InboundQueue(processInboundMessage);
+
+async function recordMessageStatuses(statuses) {
+  for (const statusEvent of statuses) {
+    try {
+      await recordMessageStatus(statusEvent);
+    } catch (error) {
+      console.error("Error recording message status:", error);
+    }
+  }
+}
+
+app.post("/webhook", verifyWebhookSignature, async (req, res) => {
+  const errors = validatePayload(req.body);
+  if (errors.length > 0) {
+    logRejectedWebhook(req, "invalid_payload", { errors: errors.slice(0, 10) });
+    return res.sendStatus(400);
+  }
+
+  const { messages, statuses } = collectEvents(req.body);
+
+  // Only store the messages before acknowledging; Meta retries slow webhooks.
+  // If they can't be stored, fail so Meta delivers them again.
+  try {
+    await inboundQueue.enqueue(messages);
+  } catch (error) {
+    console.error("Error queueing webhook messages:", error);
+    return res.sendStatus(500);
+  }
+
+  res.sendStatus(200);
+  await recordMessageStatuses(statuses);
+});
+
+// Inbound SMS from the gateway, authenticated with a shared token
+app.post("/sms/inbound", async (req, res) => {
+  if (
+    !verifyToken(
+      req.get("X-Gateway-Token"),
+      process.env.SMS_GATEWAY_INBOUND_TOKEN
+    )
+  ) {
+    logRejectedWebhook(req, "invalid_sms_gateway_token");
+    return res.sendStatus(401);
+  }
+
+  const errors = validateSmsPayload(req.body);
+  if (errors.length > 0) {
+    logRejectedWebhook(req, "invalid_sms_payload", { errors });
+    return res.sendStatus(400);
+  }
+
+  try {
+    await inboundQueue.enqueue([
+      {
+        id: `sms:${req.body.id}`,
+        from: req.body.from.replace(/\D/g, ""),
+        timestamp: req.body.timestamp,
+        type: "text",
+        text: { body: req.body.text },
+        channel: "SMS",
+      },
+    ]);
+  } catch (error) {
+    console.error("Error queueing SMS message:", error);
+    return res.sendStatus(500);
+  }
+
+  res.sendStatus(200);
+});
+
+// Webhook verification endpoint
+app.get("/webhook", (req, res) => {
+  const mode = req.query["hub.mode"];
+  const token = req.query["hub.verify_token"];
+  const challenge = req.query["hub.challenge"];
+
+  if (mode && token) {
+    if (mode === "subscribe" && token === process.env.WEBHOOK_VERIFY_TOKEN) {
+      console.log("Webhook verified");
+      res.status(200).send(challenge);
+    } else {
+      res.sendStatus(403);
+    }
+  }
+});
+
+// Pharmacist API
+// Allowed order status transitions. Pickup orders go through READY_FOR_PICKUP,
+// delivery orders through OUT_FOR_DELIVERY.
+const ORDER_STATUS_TRANSITIONS = {
+  PENDING: ["PROCESSING", "CANCELLED"],
+  PROCESSING: ["READY_FOR_PICKUP", "OUT_FOR_DELIVERY", "CANCELLED"],
+  READY_FOR_PICKUP: ["DELIVERED", "CANCELLED"],
+  OUT_FOR_DELIVERY: ["DELIVERED"],
+  DELIVERED: [],
+  CANCELLED: [],
+};
+
+function canTransitionOrder(order, nextStatus) {
+  const allowed = ORDER_STATUS_TRANSITIONS[order.status] || [];
+  if (!allowed.includes(nextStatus)) {
+    return false;
+  }
+  if (nextStatus === "READY_FOR_PICKUP" && order.deliveryMethod !== "PICKUP") {
+    return false;
+  }
+  if (
+    nextStatus === "OUT_FOR_DELIVERY" &&
+    order.deliveryMethod !== "DELIVERY"
+  ) {
+    return false;
+  }
+  return true;
+}
+
+function buildOrderStatusMessage(order, user) {
+  const params = {
+    name: user.firstName ? `, ${user.firstName}` : "",
+    orderNumber: order.orderNumber,
+  };
+
+  switch (order.status) {
+    case "PROCESSING":
+    case "CANCELLED":
+      return t(user, `orderUpdate.${order.status}`, params);
+    case "READY_FOR_PICKUP":
+      return t(user, "orderUpdate.READY_FOR_PICKUP", {
+        ...params,
+        address:
+          process.env.PHARMACY_ADDRESS || "our pharmacy (address not set)",
+      });
+    case "OUT_FOR_DELIVERY":
+      return t(user, "orderUpdate.OUT_FOR_DELIVERY", {
+        ...params,
+        address:
+          order.deliveryAddress?.address || t(user, "orderUpdate.yourAddress"),
+      });
+    case "DELIVERED":
+      return order.deliveryMethod === "PICKUP"
+        ? t(user, "orderUpdate.COLLECTED", params)
+        : t(user, "orderUpdate.DELIVERED", params);
+    default:
+      return t(user, "orderUpdate.other", {
+        ...params,
+        status: t(user, `orders.status.${order.status}`),
+      });
+  }
+}
+
+class OrderStatusConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "OrderStatusConflictError";
+  }
+}
+
+// Move an order to a new status, reserving stock when processing starts,
+// taking it out of inventory on delivery and releasing it on cancellation.
+// The change is added to the order's status history with `actor`
+// ({ actorType, user | staff }) and `reason`; `changes` sets other fields and
+// `push` adds entries to array fields in the same update.
+async function transitionOrderStatus(
+  order,
+  status,
+  { actor, reason, changes = {}, push = {} }
+) {
+  if (!canTransitionOrder(order, status)) {
+    throw new OrderStatusConflictError(
+      `Cannot change order status from ${order.status} to ${status}`
+    );
+  }
+
+  const update = { ...changes, status };
+  let reservations = [];
+  if (status === "PROCESSING") {
+    reservations = await reserveStock(order.medications);
+    update.stockReservations = reservations;
+    update.stockStatus = "RESERVED";
+  } else if (order.stockStatus === "RESERVED" && status === "DELIVERED") {
+    update.stockStatus = "COMMITTED";
+  } else if (order.stockStatus === "RESERVED" && status === "CANCELLED") {
+    update.stockStatus = "RELEASED";
+  }
+
+  // Only update if nobody else changed the status in the meantime
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      $set: update,
+      $push: {
+        ...push,
+        statusHistory: { status, timestamp: new Date(), reason, ...actor },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    await releaseStock(reservations);
+    throw new OrderStatusConflictError(
+      "Order status was changed by someone else"
+    );
+  }
+
+  if (update.stockStatus === "COMMITTED") {
+    await commitStock(order.stockReservations);
+  } else if (update.stockStatus === "RELEASED") {
+    await releaseStock(order.stockReservations);
+  }
+
+  return updated;
+}
+
+// Staff accounts
+const STAFF_ROLES = ["Pharmacist", "Doctor", "Admin"];
+
+// Staff reach patients through WhatsApp, so each one is linked to a User.
+// Staff aren't patients, so the User starts at the main menu rather than in
+// patient registration.
+async function findOrCreateStaffUser(phoneNumber, firstName, surname) {
+  let user = await User.findOne({ phoneNumber });
+  if (!user) {
+    user = new User({
+      phoneNumber,
+      firstName: firstName || null,
+      surname: surname || null,
+      isRegistrationComplete: true,
+      schemaVersion: USER_SCHEMA_VERSION,
+      conversationState: {
+        currentFlow: "MAIN_MENU",
+        currentStep: null,
+        data: new Map(),
+        lastUpdated: new Date(),
+      },
+    });
+    await user.save();
+  }
+  return user;
+}
+
+// Create the first admin from ADMIN_EMAIL and ADMIN_PASSWORD
+async function ensureAdminAccount() {
+  if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) {
     return;
   }
 
-  await sendWhatsAppMessage(
-    user.phoneNumber,
-    "Thank you. We will address your enquiry as soon as possible.\n\nEnter 00 to go back to the main menu."
-  );
-}
+  try {
+    if (await Staff.exists({ role: "Admin" })) {
+      return;
+    }
+    await Staff.create({
+      role: "Admin",
+      email: process.env.ADMIN_EMAIL,
+      passwordHash: await hashPassword(process.env.ADMIN_PASSWORD),
+    });
+    console.log(`Created admin account ${process.env.ADMIN_EMAIL}`);
+  } catch (error) {
+    console.error("Error creating admin account:", error);
+  }
+}
+
+app.post("/api/auth/login", async (req, res) => {
+  const { email, password } = req.body || {};
+
+  try {
+    const session = await login(email, password);
+    if (!session) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+    res.json({
+      token: session.token,
+      expiresAt: session.expiresAt,
+      staff: { _id: session.staff._id, role: session.staff.role },
+    });
+  } catch (error) {
+    console.error("Error logging in:", error);
+    res.status(500).json({ error: "Failed to log in" });
+  }
+});
+
+app.post("/api/auth/logout", requireStaffAuth, async (req, res) => {
+  try {
+    await logout(req.sessionToken);
+    res.sendStatus(204);
+  } catch (error) {
+    console.error("Error logging out:", error);
+    res.status(500).json({ error: "Failed to log out" });
+  }
+});
+
+app.get("/api/auth/me", requireStaffAuth, (req, res) => {
+  res.json({ staff: req.staff });
+});
+
+// List staff accounts
+app.get(
+  "/api/staff",
+  requireStaffAuth,
+  requireRole("Admin"),
+  async (req, res) => {
+    try {
+      const staff = await Staff.find()
+        .populate("userId", "phoneNumber firstName surname")
+        .sort({ createdAt: -1 });
+      res.json({ staff });
+    } catch (error) {
+      console.error("Error listing staff:", error);
+      res.status(500).json({ error: "Failed to list staff" });
+    }
+  }
+);
+
+// Create a staff account
+app.post(
+  "/api/staff",
+  requireStaffAuth,
+  requireRole("Admin"),
+  async (req, res) => {
+    const {
+      email,
+      password,
+      role,
+      phoneNumber,
+      firstName,
+      surname,
+      licenseNumber,
+      specialization,
+    } = req.body || {};
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ error: "Invalid role" });
+    }
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+    if (role !== "Admin" && !phoneNumber) {
+      return res.status(400).json({ error: "Phone number is required" });
+    }
+
+    try {
+      const user = phoneNumber
+        ? await findOrCreateStaffUser(phoneNumber, firstName, surname)
+        : null;
+      const staff = await Staff.create({
+        userId: user?._id,
+        role,
+        email,
+        passwordHash: await hashPassword(password),
+        licenseNumber,
+        specialization,
+      });
+      res.status(201).json({ staff: await Staff.findById(staff._id) });
+    } catch (error) {
+      if (error instanceof mongoose.Error.ValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.code === 11000) {
+        return res
+          .status(409)
+          .json({ error: "Email or license number already in use" });
+      }
+      console.error("Error creating staff:", error);
+      res.status(500).json({ error: "Failed to create staff" });
+    }
+  }
+);
+
+// Update a staff account, e.g. change role, deactivate or reset password
+app.patch(
+  "/api/staff/:id",
+  requireStaffAuth,
+  requireRole("Admin"),
+  async (req, res) => {
+    const { role, isActive, isAvailable, password, specialization } =
+      req.body || {};
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid staff id" });
+    }
+    if (role !== undefined && !STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ error: "Invalid role" });
+    }
+
+    try {
+      if (
+        password !== undefined &&
+        (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH)
+      ) {
+        return res.status(400).json({
+          error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+        });
+      }
+
+      const staff = await Staff.findById(req.params.id);
+      if (!staff) {
+        return res.status(404).json({ error: "Staff member not found" });
+      }
+
+      if (role !== undefined) staff.role = role;
+      if (isActive !== undefined) staff.isActive = Boolean(isActive);
+      if (isAvailable !== undefined) staff.isAvailable = Boolean(isAvailable);
+      if (specialization !== undefined) staff.specialization = specialization;
+      if (password !== undefined) {
+        staff.passwordHash = await hashPassword(password);
+      }
+      await staff.save();
+
+      if (password !== undefined || !staff.isActive) {
+        await revokeSessions(staff._id);
+      }
+
+      res.json({ staff: await Staff.findById(staff._id) });
+    } catch (error) {
+      if (error instanceof mongoose.Error.ValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Error updating staff:", error);
+      res.status(500).json({ error: "Failed to update staff" });
+    }
+  }
+);
+
+// List inventory
+app.get(
+  "/api/inventory",
+  requireStaffAuth,
+  requireRole("Pharmacist", "Admin"),
+  async (req, res) => {
+    if (findNonStringQuery(req.query, ["search"])) {
+      return res.status(400).json({ error: "search must be one value" });
+    }
+
+    try {
+      const filter = {};
+      if (req.query.search) {
+        const pattern = new RegExp(escapeRegExp(req.query.search), "i");
+        filter.$or = [{ medicationName: pattern }, { genericName: pattern }];
+      }
+
+      const items = await Inventory.find(filter).sort({ medicationName: 1 });
+      res.json({ items });
+    } catch (error) {
+      console.error("Error listing inventory:", error);
+      res.status(500).json({ error: "Failed to list inventory" });
+    }
+  }
+);
+
+// Fields admins may set on inventory items. Reserved stock is only changed
+// by the order lifecycle.
+const INVENTORY_FIELDS = [
+  "medicationName",
+  "genericName",
+  "category",
+  "manufacturer",
+  "stockQuantity",
+  "unitPrice",
+  "expiryDate",
+  "reorderLevel",
+];
+
+function pickInventoryFields(body) {
+  const fields = {};
+  for (const field of INVENTORY_FIELDS) {
+    if (body && body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+}
+
+// Add an inventory item
+app.post(
+  "/api/inventory",
+  requireStaffAuth,
+  requireRole("Admin"),
+  async (req, res) => {
+    try {
+      const item = await Inventory.create(pickInventoryFields(req.body));
+      res.status(201).json({ item });
+    } catch (error) {
+      if (error instanceof mongoose.Error.ValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Error creating inventory item:", error);
+      res.status(500).json({ error: "Failed to create inventory item" });
+    }
+  }
+);
+
+// Update an inventory item, e.g. after receiving stock
+app.patch(
+  "/api/inventory/:id",
+  requireStaffAuth,
+  requireRole("Admin"),
+  async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid inventory id" });
+    }
+
+    try {
+      const item = await Inventory.findByIdAndUpdate(
+        req.params.id,
+        { $set: pickInventoryFields(req.body) },
+        { new: true, runValidators: true }
+      );
+      if (!item) {
+        return res.status(404).json({ error: "Inventory item not found" });
+      }
+      res.json({ item });
+    } catch (error) {
+      if (
+        error instanceof mongoose.Error.ValidationError ||
+        error instanceof mongoose.Error.CastError
+      ) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Error updating inventory item:", error);
+      res.status(500).json({ error: "Failed to update inventory item" });
+    }
+  }
+);
+
+// Remove an inventory item that has no stock reserved
+app.delete(
+  "/api/inventory/:id",
+  requireStaffAuth,
+  requireRole("Admin"),
+  async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid inventory id" });
+    }
+
+    try {
+      const item = await Inventory.findOneAndDelete({
+        _id: req.params.id,
+        reservedQuantity: { $in: [0, null] },
+      });
+      if (!item) {
+        return res.status(409).json({
+          error: "Inventory item not found or has stock reserved for orders",
+        });
+      }
+      res.sendStatus(204);
+    } catch (error) {
+      console.error("Error deleting inventory item:", error);
+      res.status(500).json({ error: "Failed to delete inventory item" });
+    }
+  }
+);
+
+// List and filter orders
+app.get("/api/orders", requireStaffAuth, async (req, res) => {
+  const { status, orderType, deliveryMethod, orderNumber, from, to } =
+    req.query;
+  const invalidKey = findNonStringQuery(req.query, [
+    "status",
+    "orderType",
+    "deliveryMethod",
+    "orderNumber",
+    "from",
+    "to",
+    "page",
+    "limit",
+    "requiresReview",
+    "membershipStatus",
+  ]);
+  if (invalidKey) {
+    return res.status(400).json({ error: `${invalidKey} must be one value` });
+  }
+
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = {};
+    if (status) filter.status = { $in: status.split(",") };
+    if (orderType) filter.orderType = orderType;
+    if (deliveryMethod) filter.deliveryMethod = deliveryMethod;
+    if (req.query.membershipStatus) {
+      filter["membershipCheck.status"] = {
+        $in: req.query.membershipStatus.split(","),
+      };
+    }
+    if (req.query.requiresReview !== undefined) {
+      filter.requiresReview = req.query.requiresReview === "true";
+    }
+    if (orderNumber) {
+      // Prefix search, e.g. TPB-20240721 lists all orders from that day
+      filter.orderNumber = new RegExp(
+        `^${escapeRegExp(normalizeOrderNumber(orderNumber))}`
+      );
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (
+        Object.values(filter.createdAt).some((date) => isNaN(date.getTime()))
+      ) {
+        return res.status(400).json({ error: "Invalid date range" });
+      }
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .populate("user", "phoneNumber firstName surname")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(filter),
+    ]);
+    res.json({ orders, total, page, limit });
+  } catch (error) {
+    console.error("Error listing orders:", error);
+    res.status(500).json({ error: "Failed to list orders" });
+  }
+});
+
+// Inspect a single order
+app.get("/api/orders/:id", requireStaffAuth, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: "Invalid order id" });
+  }
+
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate(
+        "user",
+        "phoneNumber firstName surname dateOfBirth medicalAidProvider medicalAidNumber scheme dependentNumber"
+      )
+      .populate("dependant")
+      .populate({
+        path: "statusHistory.staff",
+        select: "role userId",
+        populate: { path: "userId", select: "firstName surname" },
+      });
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+    // Notifications sent about this order and whether they were delivered
+    const notifications = await OutboundMessage.find({ order: order._id })
+      .select("to body status statusHistory createdAt")
+      .sort({ createdAt: 1 });
+    res.json({
+      order,
+      notifications,
+      allowedTransitions: ORDER_STATUS_TRANSITIONS[order.status].filter(
+        (status) => canTransitionOrder(order, status)
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching order:", error);
+    res.status(500).json({ error: "Failed to fetch order" });
+  }
+});
+
+// How long orders spend in each status, from their status history. Only
+// stages that have ended are counted; orders are filtered by creation date.
+async function orderStageDurations(filter) {
+  return Order.aggregate([
+    { $match: { ...filter, "statusHistory.1": { $exists: true } } },
+    {
+      $project: {
+        stages: {
+          $map: {
+            input: {
+              $range: [0, { $subtract: [{ $size: "$statusHistory" }, 1] }],
+            },
+            as: "i",
+            in: {
+              status: { $arrayElemAt: ["$statusHistory.status", "$$i"] },
+              durationMs: {
+                $subtract: [
+                  {
+                    $arrayElemAt: [
+                      "$statusHistory.timestamp",
+                      { $add: ["$$i", 1] },
+                    ],
+                  },
+                  { $arrayElemAt: ["$statusHistory.timestamp", "$$i"] },
+                ],
+              },
+            },
+          },
+        },
+      },
+    },
+    { $unwind: "$stages" },
+    {
+      $group: {
+        _id: "$stages.status",
+        count: { $sum: 1 },
+        averageMs: { $avg: "$stages.durationMs" },
+        minMs: { $min: "$stages.durationMs" },
+        maxMs: { $max: "$stages.durationMs" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        status: "$_id",
+        count: 1,
+        averageMs: { $round: ["$averageMs", 0] },
+        minMs: 1,
+        maxMs: 1,
+      },
+    },
+    { $sort: { status: 1 } },
+  ]);
+}
+
+app.get(
+  "/api/reports/order-stages",
+  requireStaffAuth,
+  requireRole("Pharmacist", "Admin"),
+  async (req, res) => {
+    const { from, to } = req.query;
+    const filter = {};
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (
+        Object.values(filter.createdAt).some((date) => isNaN(date.getTime()))
+      ) {
+        return res.status(400).json({ error: "Invalid date range" });
+      }
+    }
+
+    try {
+      res.json({ stages: await orderStageDurations(filter) });
+    } catch (error) {
+      console.error("Error computing order stage durations:", error);
+      res.status(500).json({ error: "Failed to compute order stages" });
+    }
+  }
+);
+
+// Dose adherence per patient and medication, optionally for one patient
+app.get(
+  "/api/reports/adherence",
+  requireStaffAuth,
+  requireRole("Pharmacist", "Admin"),
+  async (req, res) => {
+    const { user, from, to } = req.query;
+    const filter = {};
+    if (user) {
+      if (!mongoose.isValidObjectId(user)) {
+        return res.status(400).json({ error: "Invalid user id" });
+      }
+      filter.user = new mongoose.Types.ObjectId(user);
+    }
+    if (from || to) {
+      filter.scheduledAt = {};
+      if (from) filter.scheduledAt.$gte = new Date(from);
+      if (to) filter.scheduledAt.$lte = new Date(to);
+      if (
+        Object.values(filter.scheduledAt).some((date) => isNaN(date.getTime()))
+      ) {
+        return res.status(400).json({ error: "Invalid date range" });
+      }
+    }
+
+    try {
+      const adherence = await User.populate(await adherenceReport(filter), {
+        path: "user",
+        select: "phoneNumber firstName surname",
+      });
+      res.json({ adherence });
+    } catch (error) {
+      console.error("Error computing adherence:", error);
+      res.status(500).json({ error: "Failed to compute adherence" });
+    }
+  }
+);
+
+// Record the medications on a patient's prescription, e.g. from an order's
+// uploaded pages
+app.post(
+  "/api/prescriptions",
+  requireStaffAuth,
+  requireRole("Pharmacist"),
+  async (req, res) => {
+    const { user, order, medicationDetails, notes } = req.body || {};
 
-// Periodic cleanup function
-async function cleanupStaleConversationStates() {
-  const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-  try {
-    await User.updateMany(
-      { "conversationState.lastUpdated": { $lt: oneHourAgo } },
-      {
-        $set: {
-          "conversationState.currentFlow": "MAIN_MENU",
-          "conversationState.currentStep": null,
-          "conversationState.data": {},
-          "conversationState.lastUpdated": new Date(),
+    if (!mongoose.isValidObjectId(user)) {
+      return res.status(400).json({ error: "Invalid user id" });
+    }
+    if (order !== undefined && !mongoose.isValidObjectId(order)) {
+      return res.status(400).json({ error: "Invalid order id" });
+    }
+    if (
+      !Array.isArray(medicationDetails) ||
+      medicationDetails.length === 0 ||
+      medicationDetails.some(
+        (medication) => typeof medication?.name !== "string"
+      )
+    ) {
+      return res.status(400).json({
+        error: "medicationDetails must list at least one named medication",
+      });
+    }
+
+    try {
+      if (!(await User.exists({ _id: user }))) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      const prescription = await Prescription.create({
+        userId: user,
+        order,
+        medicationDetails: medicationDetails.map(
+          ({ name, dosage, frequency, duration }) => ({
+            name,
+            dosage,
+            frequency,
+            duration,
+          })
+        ),
+        prescriptionText: order
+          ? (
+              await Order.findById(order)
+            )?.prescriptionText
+          : undefined,
+        notes,
+      });
+      res.status(201).json({ prescription });
+    } catch (error) {
+      if (error instanceof mongoose.Error.ValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Error creating prescription:", error);
+      res.status(500).json({ error: "Failed to create prescription" });
+    }
+  }
+);
+
+// Verify a prescription and start dose reminders for its medications.
+// Medications whose frequency or duration couldn't be read are returned as
+// `unscheduled`.
+app.post(
+  "/api/prescriptions/:id/verify",
+  requireStaffAuth,
+  requireRole("Pharmacist"),
+  async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid prescription id" });
+    }
+
+    try {
+      const prescription = await Prescription.findOneAndUpdate(
+        { _id: req.params.id, status: "Pending" },
+        {
+          $set: {
+            status: "Verified",
+            verifiedBy: req.staff._id,
+            verifiedAt: new Date(),
+          },
         },
+        { new: true }
+      );
+      if (!prescription) {
+        return res
+          .status(409)
+          .json({ error: "Pending prescription not found" });
       }
-    );
-    console.log("Cleaned up stale conversation states");
-  } catch (error) {
-    console.error("Error cleaning up stale conversation states:", error);
+
+      const { schedules, unscheduled } = await createSchedules(prescription);
+      const patient = await User.findById(prescription.userId);
+      if (patient && schedules.length > 0) {
+        const lines = schedules.map(
+          (schedule) =>
+            `- ${describeDose(schedule)}: ${schedule.doseTimes.join(", ")}`
+        );
+        await sendNotification(
+          patient,
+          t(patient, "adherence.scheduled", { schedule: lines.join("\n") })
+        );
+      }
+
+      res.json({ prescription, schedules, unscheduled });
+    } catch (error) {
+      console.error("Error verifying prescription:", error);
+      res.status(500).json({ error: "Failed to verify prescription" });
+    }
   }
-}
+);
 
-// Run cleanup every hour
-setInterval(cleanupStaleConversationStates, 60 * 60 * 1000);
+// Change the status of an order and notify the patient
+app.patch(
+  "/api/orders/:id/status",
+  requireStaffAuth,
+  requireRole("Pharmacist", "Admin"),
+  async (req, res) => {
+    const { status, reason } = req.body || {};
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid order id" });
+    }
+    if (!status || !ORDER_STATUS_TRANSITIONS[status]) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+    if (reason !== undefined && typeof reason !== "string") {
+      return res.status(400).json({ error: "reason must be a string" });
+    }
+
+    try {
+      const order = await Order.findById(req.params.id).populate("user");
+      if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+      }
+
+      // Starting to process a prescription order means its prescription has
+      // been verified, which only a pharmacist may do
+      const verifiesPrescription =
+        status === "PROCESSING" && order.orderType !== "OVER_THE_COUNTER";
+      if (verifiesPrescription && req.staff.role !== "Pharmacist") {
+        return res
+          .status(403)
+          .json({ error: "Only a pharmacist can verify a prescription" });
+      }
+
+      const updated = await transitionOrderStatus(order, status, {
+        actor: { actorType: "STAFF", staff: req.staff._id },
+        reason: reason || undefined,
+        // Processing a refill that was held for review approves it
+        changes: verifiesPrescription
+          ? {
+              verifiedBy: req.staff._id,
+              verifiedAt: new Date(),
+              requiresReview: false,
+            }
+          : {},
+      });
+
+      if (order.user) {
+        await sendNotification(
+          order.user,
+          buildOrderStatusMessage(updated, order.user),
+          { order: order._id }
+        );
+      }
 
-app.post("/webhook", async (req, res) => {
-  const { entry } = req.body;
+      res.json({ order: updated });
+    } catch (error) {
+      if (
+        error instanceof OrderStatusConflictError ||
+        error instanceof InsufficientStockError
+      ) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error("Error updating order status:", error);
+      res.status(500).json({ error: "Failed to update order status" });
+    }
+  }
+);
+
+// Check an order's medical aid cover again, e.g. after the provider was
+// unavailable or the patient's details were corrected
+app.post(
+  "/api/orders/:id/membership-check",
+  requireStaffAuth,
+  requireRole("Pharmacist", "Admin"),
+  async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid order id" });
+    }
+
+    try {
+      const order = await Order.findById(req.params.id).populate("user");
+      if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+      }
+      if (!order.user) {
+        return res.status(409).json({ error: "Order has no patient" });
+      }
+
+      const membershipCheck = await checkOrderMembership(order.user, order);
+      const updated = await Order.findByIdAndUpdate(
+        order._id,
+        { $set: { membershipCheck } },
+        { new: true }
+      );
+      res.json({ order: updated });
+    } catch (error) {
+      console.error("Error checking order membership:", error);
+      res.status(500).json({ error: "Failed to check membership" });
+    }
+  }
+);
 
-  if (entry && entry[0].changes && entry[0].changes[0].value.messages) {
-    const message = entry[0].changes[0].value.messages[0];
-    const from = message.from;
-    let messageBody = message.text?.body || "";
+// Record how often and for how long a prescription may be refilled
+app.patch(
+  "/api/orders/:id/refill-terms",
+  requireStaffAuth,
+  requireRole("Pharmacist"),
+  async (req, res) => {
+    const { refillsAllowed, refillIntervalDays, prescriptionExpiresAt } =
+      req.body || {};
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid order id" });
+    }
 
-    // Handle button responses
-    if (message.interactive && message.interactive.button_reply) {
-      messageBody = message.interactive.button_reply.title;
+    const terms = {};
+    for (const [field, value] of Object.entries({
+      refillsAllowed,
+      refillIntervalDays,
+    })) {
+      if (value === undefined) continue;
+      if (!Number.isInteger(value) || value < 0) {
+        return res
+          .status(400)
+          .json({ error: `${field} must be a whole number of 0 or more` });
+      }
+      terms[field] = value;
+    }
+    if (prescriptionExpiresAt !== undefined) {
+      const expiresAt = new Date(prescriptionExpiresAt);
+      if (isNaN(expiresAt.getTime())) {
+        return res
+          .status(400)
+          .json({ error: "prescriptionExpiresAt must be a date" });
+      }
+      terms.prescriptionExpiresAt = expiresAt;
+    }
+    if (Object.keys(terms).length === 0) {
+      return res.status(400).json({ error: "No refill terms given" });
     }
 
     try {
-      let user = await User.findOne({ phoneNumber: from });
-
-      if (!user) {
-        user = new User({
-          phoneNumber: from,
-          conversationState: {
-            currentFlow: "REGISTRATION",
-            currentStep: 0,
-            data: new Map(),
-            lastUpdated: new Date(),
-          },
+      const order = await Order.findById(req.params.id);
+      if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+      }
+      if (order.orderType !== "NEW_PRESCRIPTION") {
+        return res.status(400).json({
+          error: "Refill terms can only be set on a new prescription order",
         });
-        await user.save();
-        await sendWelcomeMessage(user);
+      }
+
+      order.set(terms);
+      await order.save();
+      res.json({ order });
+    } catch (error) {
+      console.error("Error updating refill terms:", error);
+      res.status(500).json({ error: "Failed to update refill terms" });
+    }
+  }
+);
+
+// List reorder alerts
+app.get(
+  "/api/reorder-alerts",
+  requireStaffAuth,
+  requireRole("Pharmacist", "Admin"),
+  async (req, res) => {
+    try {
+      const alerts = await ReorderAlert.find({
+        status: req.query.status || "OPEN",
+      })
+        .populate("inventoryItem")
+        .sort({ createdAt: -1 });
+      res.json({ alerts });
+    } catch (error) {
+      console.error("Error listing reorder alerts:", error);
+      res.status(500).json({ error: "Failed to list reorder alerts" });
+    }
+  }
+);
+
+// Resolve a reorder alert once stock has been reordered
+app.post(
+  "/api/reorder-alerts/:id/resolve",
+  requireStaffAuth,
+  requireRole("Admin"),
+  async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid alert id" });
+    }
+
+    try {
+      const alert = await ReorderAlert.findOneAndUpdate(
+        { _id: req.params.id, status: "OPEN" },
+        { $set: { status: "RESOLVED", resolvedAt: new Date() } },
+        { new: true }
+      );
+      if (!alert) {
+        return res.status(404).json({ error: "Open reorder alert not found" });
+      }
+      res.json({ alert });
+    } catch (error) {
+      console.error("Error resolving reorder alert:", error);
+      res.status(500).json({ error: "Failed to resolve reorder alert" });
+    }
+  }
+);
+
+// List outbound messages, by default the dead-letter queue
+app.get(
+  "/api/outbound-messages",
+  requireStaffAuth,
+  requireRole("Admin"),
+  async (req, res) => {
+    const filter = { status: req.query.status || "DEAD_LETTER" };
+    if (req.query.channel) {
+      filter.channel = req.query.channel;
+    }
+    if (req.query.to) {
+      filter.to = req.query.to;
+    }
+
+    try {
+      const messages = await OutboundMessage.find(filter)
+        .select("-payload")
+        .sort({ createdAt: -1 })
+        .limit(100);
+      res.json({ messages });
+    } catch (error) {
+      console.error("Error listing outbound messages:", error);
+      res.status(500).json({ error: "Failed to list outbound messages" });
+    }
+  }
+);
+
+// Put a dead-lettered message back on the queue
+app.post(
+  "/api/outbound-messages/:id/retry",
+  requireStaffAuth,
+  requireRole("Admin"),
+  async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid message id" });
+    }
+
+    try {
+      const message = await outboundQueue.retry(req.params.id);
+      if (!message) {
+        return res
+          .status(404)
+          .json({ error: "Dead-lettered message not found" });
+      }
+      res.json({ message });
+    } catch (error) {
+      console.error("Error retrying outbound message:", error);
+      res.status(500).json({ error: "Failed to retry outbound message" });
+    }
+  }
+);
+
+// Sent, failed and queued message counts
+app.get(
+  "/api/metrics/messages",
+  requireStaffAuth,
+  requireRole("Admin"),
+  async (req, res) => {
+    try {
+      res.json(await outboundQueue.getMetrics());
+    } catch (error) {
+      console.error("Error fetching message metrics:", error);
+      res.status(500).json({ error: "Failed to fetch message metrics" });
+    }
+  }
+);
+
+// List and filter consultation and enquiry tickets
+app.get("/api/service-requests", requireStaffAuth, async (req, res) => {
+  const { status, serviceType, assignedTo } = req.query;
+  const invalidKey = findNonStringQuery(req.query, [
+    "status",
+    "serviceType",
+    "assignedTo",
+  ]);
+  if (invalidKey) {
+    return res.status(400).json({ error: `${invalidKey} must be one value` });
+  }
+
+  try {
+    const filter = {};
+    if (status) filter.status = { $in: status.split(",") };
+    if (serviceType) filter.serviceType = serviceType;
+    if (assignedTo) filter.assignedTo = assignedTo;
+
+    const tickets = await ServiceRequest.find(filter)
+      .populate("userId", "phoneNumber firstName surname")
+      .sort({ createdAt: -1 })
+      .limit(100);
+    res.json({ tickets });
+  } catch (error) {
+    console.error("Error listing service requests:", error);
+    res.status(500).json({ error: "Failed to list service requests" });
+  }
+});
+
+// Inspect a ticket and its thread
+app.get("/api/service-requests/:id", requireStaffAuth, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: "Invalid service request id" });
+  }
+
+  try {
+    const ticket = await ServiceRequest.findById(req.params.id)
+      .populate("userId", "phoneNumber firstName surname")
+      .populate("assignedTo");
+    if (!ticket) {
+      return res.status(404).json({ error: "Service request not found" });
+    }
+    const notifications = await OutboundMessage.find({
+      serviceRequest: ticket._id,
+    })
+      .select("to body status statusHistory createdAt")
+      .sort({ createdAt: 1 });
+    res.json({ ticket, notifications });
+  } catch (error) {
+    console.error("Error fetching service request:", error);
+    res.status(500).json({ error: "Failed to fetch service request" });
+  }
+});
+
+// Assign, prioritise or change the status of a ticket
+app.patch("/api/service-requests/:id", requireStaffAuth, async (req, res) => {
+  const { status, priority, assignedTo } = req.body || {};
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: "Invalid service request id" });
+  }
+
+  try {
+    const ticket = await ServiceRequest.findById(req.params.id).populate(
+      "userId"
+    );
+    if (!ticket) {
+      return res.status(404).json({ error: "Service request not found" });
+    }
+
+    if (assignedTo !== undefined) {
+      if (
+        assignedTo &&
+        (!mongoose.isValidObjectId(assignedTo) ||
+          !(await Staff.exists({ _id: assignedTo })))
+      ) {
+        return res.status(400).json({ error: "Staff member not found" });
+      }
+      ticket.assignedTo = assignedTo || null;
+      if (assignedTo && ticket.status === "Pending") {
+        ticket.status = "Assigned";
+      }
+    }
+    if (priority) ticket.priority = priority;
+
+    const statusChanged = status && status !== ticket.status;
+    if (status) ticket.status = status;
+    if (statusChanged && status === "Completed") {
+      ticket.completedAt = new Date();
+    }
+
+    await ticket.save();
+
+    // Closing a ticket also ends its live chat
+    if (
+      ["Completed", "Cancelled"].includes(ticket.status) &&
+      ticket.liveChat.active
+    ) {
+      await endLiveChat(ticket, "STAFF");
+    }
+
+    if (statusChanged && ticket.userId) {
+      await sendNotification(
+        ticket.userId,
+        t(ticket.userId, "tickets.statusChanged", {
+          ticketNumber: ticket.ticketNumber,
+          status: describeTicketStatus(ticket.userId, ticket),
+        }),
+        { serviceRequest: ticket._id }
+      );
+    }
+
+    res.json({ ticket });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error updating service request:", error);
+    res.status(500).json({ error: "Failed to update service request" });
+  }
+});
+
+// Reply to the patient on a ticket
+app.post(
+  "/api/service-requests/:id/messages",
+  requireStaffAuth,
+  async (req, res) => {
+    const { body } = req.body || {};
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid service request id" });
+    }
+    if (typeof body !== "string" || !body.trim()) {
+      return res.status(400).json({ error: "Message body is required" });
+    }
+
+    try {
+      const staff = req.staff;
+      const ticket = await ServiceRequest.findById(req.params.id).populate(
+        "userId"
+      );
+      if (!ticket) {
+        return res.status(404).json({ error: "Service request not found" });
+      }
+      if (["Completed", "Cancelled"].includes(ticket.status)) {
+        return res.status(409).json({ error: "Service request is closed" });
+      }
+
+      ticket.messages.push({ sender: "STAFF", staff: staff._id, body });
+      if (!ticket.assignedTo) {
+        ticket.assignedTo = staff._id;
+      }
+      if (["Pending", "Assigned"].includes(ticket.status)) {
+        ticket.status = "In Progress";
+      }
+      await ticket.save();
+
+      if (ticket.liveChat.active) {
+        await sendMessage(
+          ticket.userId,
+          t(ticket.userId, "liveChat.staffMessage", {
+            staff: describeStaff(ticket.userId, staff),
+            body,
+          }),
+          null,
+          { serviceRequest: ticket._id }
+        );
       } else {
-        user.lastInteraction = new Date();
-        await user.save();
+        await sendNotification(
+          ticket.userId,
+          t(ticket.userId, "tickets.staffReply", {
+            staff: describeStaff(ticket.userId, staff),
+            ticketNumber: ticket.ticketNumber,
+            body,
+          }),
+          { serviceRequest: ticket._id }
+        );
+      }
 
-        if (!user.isRegistrationComplete) {
-          await handleRegistration(user, messageBody);
-        } else {
-          await handleConversation(user, messageBody);
-        }
+      // Keep the patient's live chat session fresh
+      if (ticket.liveChat.active) {
+        await User.updateOne(
+          {
+            _id: ticket.userId._id,
+            "conversationState.currentFlow": "LIVE_CHAT",
+          },
+          { $set: { "conversationState.lastUpdated": new Date() } }
+        );
+      }
+
+      res.json({ ticket });
+    } catch (error) {
+      console.error("Error sending service request reply:", error);
+      res.status(500).json({ error: "Failed to send reply" });
+    }
+  }
+);
+
+// Start a live chat between the patient and a staff member
+app.post(
+  "/api/service-requests/:id/live-chat",
+  requireStaffAuth,
+  async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid service request id" });
+    }
+
+    try {
+      const ticket = await ServiceRequest.findById(req.params.id);
+      if (!ticket) {
+        return res.status(404).json({ error: "Service request not found" });
       }
+      if (["Completed", "Cancelled"].includes(ticket.status)) {
+        return res.status(409).json({ error: "Service request is closed" });
+      }
+      if (ticket.liveChat.active) {
+        return res.status(409).json({ error: "Live chat is already active" });
+      }
+
+      await startLiveChat(ticket, req.staff);
+      res.json({ ticket });
+    } catch (error) {
+      console.error("Error starting live chat:", error);
+      res.status(500).json({ error: "Failed to start live chat" });
+    }
+  }
+);
+
+// End a live chat and return the patient to the main menu
+app.delete(
+  "/api/service-requests/:id/live-chat",
+  requireStaffAuth,
+  async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid service request id" });
+    }
+
+    try {
+      const ticket = await ServiceRequest.findById(req.params.id);
+      if (!ticket) {
+        return res.status(404).json({ error: "Service request not found" });
+      }
+      if (!ticket.liveChat.active) {
+        return res.status(409).json({ error: "Live chat is not active" });
+      }
+
+      await endLiveChat(ticket, "STAFF");
+      res.json({ ticket });
     } catch (error) {
-      console.error("Error processing webhook:", error);
-      // Send a generic error message to the user
-      await sendWhatsAppMessage(
-        from,
-        "Sorry, we encountered an error. Please try again or contact support if the issue persists."
+      console.error("Error ending live chat:", error);
+      res.status(500).json({ error: "Failed to end live chat" });
+    }
+  }
+);
+
+// Issue a short-lived signed URL for a prescription file
+app.get(
+  "/api/orders/:id/prescription-files/:index/url",
+  requireStaffAuth,
+  async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid order id" });
+    }
+
+    try {
+      const order = await Order.findById(req.params.id);
+      const index = parseInt(req.params.index);
+      if (!order || !order.prescriptionFiles[index]) {
+        return res.status(404).json({ error: "Prescription file not found" });
+      }
+
+      const { url, expiresAt } = signFileUrl(
+        `/files/prescriptions/${order._id}/${index}`
       );
+      res.json({ url, expiresAt });
+    } catch (error) {
+      console.error("Error signing prescription file URL:", error);
+      res.status(500).json({ error: "Failed to create prescription file URL" });
     }
   }
+);
 
-  res.sendStatus(200);
-});
+// Serve a prescription file through a signed URL
+app.get("/files/prescriptions/:orderId/:index", async (req, res) => {
+  const { orderId, index } = req.params;
+  const { expires, signature } = req.query;
 
-// Webhook verification endpoint
-app.get("/webhook", (req, res) => {
-  const mode = req.query["hub.mode"];
-  const token = req.query["hub.verify_token"];
-  const challenge = req.query["hub.challenge"];
+  try {
+    // Throws when FILE_URL_SECRET is not set
+    if (
+      !verifyFileUrl(
+        `/files/prescriptions/${orderId}/${index}`,
+        expires,
+        signature
+      )
+    ) {
+      return res.status(403).json({ error: "Invalid or expired link" });
+    }
 
-  if (mode && token) {
-    if (mode === "subscribe" && token === process.env.WEBHOOK_VERIFY_TOKEN) {
-      console.log("Webhook verified");
-      res.status(200).send(challenge);
-    } else {
-      res.sendStatus(403);
+    const order = await Order.findById(orderId);
+    const file = order?.prescriptionFiles[parseInt(index)];
+    if (!file) {
+      return res.status(404).json({ error: "Prescription file not found" });
+    }
+
+    const data = await storage.get(file.storageKey);
+    if (checksum(data) !== file.checksum) {
+      console.error(
+        `Checksum mismatch for prescription file ${file.storageKey}`
+      );
+      return res.status(500).json({ error: "Prescription file is corrupted" });
     }
+
+    res.set("Content-Type", file.contentType || "application/octet-stream");
+    res.set("Cache-Control", "private, no-store");
+    res.send(data);
+  } catch (error) {
+    console.error("Error reading prescription file:", error);
+    res.status(500).json({ error: "Failed to read prescription file" });
   }
 });
 
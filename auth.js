@@ -0,0 +1,112 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { Staff, StaffSession } = require("./models");
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL_HOURS = parseInt(process.env.STAFF_SESSION_TTL_HOURS) || 12;
+const MIN_PASSWORD_LENGTH = 10;
+
+// Passwords are stored as "salt:hash" using scrypt
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+  const [salt, hash] = String(passwordHash || "").split(":");
+  if (!salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Check credentials and open a session. Returns null if login fails.
+async function login(email, password) {
+  const staff = await Staff.findOne({
+    email: String(email || "").toLowerCase(),
+  }).select("+passwordHash");
+
+  if (
+    !staff ||
+    !staff.isActive ||
+    !(await verifyPassword(String(password || ""), staff.passwordHash))
+  ) {
+    return null;
+  }
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+  await StaffSession.create({
+    tokenHash: hashToken(token),
+    staff: staff._id,
+    expiresAt,
+  });
+
+  return { token, expiresAt, staff };
+}
+
+async function logout(token) {
+  await StaffSession.deleteOne({ tokenHash: hashToken(token) });
+}
+
+// Revoke every session of a staff member, e.g. after a password change
+async function revokeSessions(staffId) {
+  await StaffSession.deleteMany({ staff: staffId });
+}
+
+// Express middleware: requires a valid "Authorization: Bearer <token>" header
+// and sets req.staff
+async function requireStaffAuth(req, res, next) {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const session = await StaffSession.findOne({
+      tokenHash: hashToken(token),
+      expiresAt: { $gt: new Date() },
+    }).populate({ path: "staff", populate: { path: "userId" } });
+
+    if (!session || !session.staff || !session.staff.isActive) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    req.staff = session.staff;
+    req.sessionToken = token;
+    next();
+  } catch (error) {
+    console.error("Error authenticating staff:", error);
+    res.status(500).json({ error: "Failed to authenticate" });
+  }
+}
+
+// Express middleware: only lets the given roles through. Use after
+// requireStaffAuth.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.staff || !roles.includes(req.staff.role)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  login,
+  logout,
+  revokeSessions,
+  requireStaffAuth,
+  requireRole,
+};
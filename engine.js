@@ -0,0 +1,155 @@
+// Runs conversation flows declared as data. A flow looks like:
+//
+//   {
+//     initial: "FIRST_STATE",
+//     exitOnZero: true, // "0" leaves the flow from any state
+//     states: {
+//       FIRST_STATE: {
+//         prompt: async (ctx) => {},   // ask the user for input
+//         back: "OTHER_STATE",         // target for "00", or (ctx) => target
+//         acceptsMedia: false,         // allow photos and documents
+//         on: { "Button": target },    // exact inputs, target or (ctx, input) => target
+//         handle: async (ctx, input) => target, // any other input
+//       },
+//     },
+//   }
+//
+// A target is a state name in the same flow, { flow, data } to start another
+// flow, EXIT to return to the home flow, INVALID to reject the input and
+// prompt again, or undefined to stay in the current state without prompting.
+// ctx.user.conversationState holds the current flow, state and data; the
+// engine never touches the database itself, saving goes through options.save.
+
+const EXIT = Symbol("EXIT");
+const INVALID = Symbol("INVALID");
+
+class UnknownFlowError extends Error {
+  constructor(flowName) {
+    super(`Unknown conversation flow: ${flowName}`);
+    this.name = "UnknownFlowError";
+    this.flowName = flowName;
+  }
+}
+
+class FlowEngine {
+  // options.home: flow that EXIT returns to
+  // options.save(ctx): persist ctx.user
+  // options.onInvalid(ctx, input): tell the user their input wasn't understood
+  // options.onLeave(ctx, state): optional, called with the conversation state
+  //   that start() is about to replace, e.g. to clean up what its data refers
+  //   to. Every way out of a flow goes through start().
+  constructor(flows, options) {
+    this.flows = flows;
+    this.home = options.home;
+    this.save = options.save;
+    this.onInvalid = options.onInvalid;
+    this.onLeave = options.onLeave;
+
+    for (const [name, flow] of Object.entries(flows)) {
+      if (!flow.states[flow.initial]) {
+        throw new Error(`Flow ${name} has no initial state ${flow.initial}`);
+      }
+    }
+  }
+
+  hasFlow(flowName) {
+    return Boolean(this.flows[flowName]);
+  }
+
+  currentState(ctx) {
+    const { currentFlow, currentStep } = ctx.user.conversationState;
+    const flow = this.flows[currentFlow];
+    if (!flow) {
+      throw new UnknownFlowError(currentFlow);
+    }
+    // States from an older version of a flow restart it
+    const stateName = flow.states[currentStep] ? currentStep : flow.initial;
+    return { flow, stateName, state: flow.states[stateName] };
+  }
+
+  acceptsMedia(ctx) {
+    return (
+      this.hasFlow(ctx.user.conversationState.currentFlow) &&
+      Boolean(this.currentState(ctx).state.acceptsMedia)
+    );
+  }
+
+  // Start a flow with fresh data and send its first prompt
+  async start(ctx, flowName, data = {}) {
+    const flow = this.flows[flowName];
+    if (!flow) {
+      throw new UnknownFlowError(flowName);
+    }
+
+    if (this.onLeave && ctx.user.conversationState) {
+      await this.onLeave(ctx, ctx.user.conversationState);
+    }
+    ctx.user.conversationState = {
+      currentFlow: flowName,
+      currentStep: flow.initial,
+      data: new Map(Object.entries(data)),
+      lastUpdated: new Date(),
+    };
+    await this.prompt(ctx, flow.states[flow.initial]);
+    await this.save(ctx);
+  }
+
+  async prompt(ctx, state) {
+    if (state.prompt) {
+      await state.prompt(ctx);
+    }
+  }
+
+  async handle(ctx, input) {
+    const { flow, stateName, state } = this.currentState(ctx);
+    ctx.user.conversationState.currentStep = stateName;
+    ctx.user.conversationState.lastUpdated = new Date();
+
+    let target;
+    if (input === "00" && state.back !== undefined) {
+      target = await resolve(state.back, ctx, input);
+    } else if (input === "0" && flow.exitOnZero) {
+      target = EXIT;
+    } else if (
+      typeof input === "string" &&
+      state.on &&
+      Object.prototype.hasOwnProperty.call(state.on, input)
+    ) {
+      target = await resolve(state.on[input], ctx, input);
+    } else if (state.handle) {
+      target = await state.handle(ctx, input);
+    } else {
+      target = INVALID;
+    }
+
+    await this.transition(ctx, target);
+  }
+
+  async transition(ctx, target) {
+    if (target === undefined) {
+      await this.save(ctx);
+    } else if (target === EXIT) {
+      await this.start(ctx, this.home);
+    } else if (target === INVALID) {
+      await this.onInvalid(ctx);
+      await this.prompt(ctx, this.currentState(ctx).state);
+      await this.save(ctx);
+    } else if (typeof target === "object") {
+      await this.start(ctx, target.flow, target.data);
+    } else {
+      const { flow } = this.currentState(ctx);
+      if (!flow.states[target]) {
+        throw new Error(`Unknown state: ${target}`);
+      }
+      ctx.user.conversationState.currentStep = target;
+      await this.prompt(ctx, flow.states[target]);
+      await this.save(ctx);
+    }
+  }
+}
+
+async function resolve(target, ctx, input) {
+  return typeof target === "function" ? target(ctx, input) : target;
+}
+
+module.exports = { FlowEngine, UnknownFlowError, EXIT, INVALID };
@@ -0,0 +1,234 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { FlowEngine, UnknownFlowError, EXIT, INVALID } = require("./engine");
+
+// Records prompts, saves and rejected inputs instead of sending messages
+function setup(flows, options = {}) {
+  const log = [];
+  const prompt = (name) => async () => log.push(`prompt ${name}`);
+  const engine = new FlowEngine(
+    {
+      HOME: { initial: "MENU", states: { MENU: { prompt: prompt("MENU") } } },
+      ...flows(prompt),
+    },
+    {
+      home: "HOME",
+      save: async () => log.push("save"),
+      onInvalid: async () => log.push("invalid"),
+      ...options,
+    }
+  );
+  return { engine, log };
+}
+
+function userIn(currentFlow, currentStep, data = {}) {
+  return {
+    conversationState: {
+      currentFlow,
+      currentStep,
+      data: new Map(Object.entries(data)),
+    },
+  };
+}
+
+const twoSteps = (prompt) => ({
+  ASK: {
+    initial: "FIRST",
+    exitOnZero: true,
+    states: {
+      FIRST: {
+        prompt: prompt("FIRST"),
+        on: { Next: "SECOND", Home: EXIT },
+        handle: async (ctx, input) => (input === "skip" ? undefined : INVALID),
+      },
+      SECOND: {
+        prompt: prompt("SECOND"),
+        back: "FIRST",
+        acceptsMedia: true,
+        on: { Other: () => ({ flow: "OTHER", data: { from: "ASK" } }) },
+        handle: async () => "MISSING",
+      },
+    },
+  },
+  OTHER: { initial: "ONLY", states: { ONLY: { prompt: prompt("ONLY") } } },
+});
+
+test("start sends the first prompt with fresh data and saves", async () => {
+  const { engine, log } = setup(twoSteps);
+  const ctx = { user: {} };
+
+  await engine.start(ctx, "ASK", { orderId: "1" });
+
+  assert.strictEqual(ctx.user.conversationState.currentFlow, "ASK");
+  assert.strictEqual(ctx.user.conversationState.currentStep, "FIRST");
+  assert.strictEqual(ctx.user.conversationState.data.get("orderId"), "1");
+  assert.deepStrictEqual(log, ["prompt FIRST", "save"]);
+});
+
+test("start rejects a flow that doesn't exist", async () => {
+  const { engine } = setup(twoSteps);
+  await assert.rejects(
+    engine.start({ user: {} }, "NOPE"),
+    (error) => error instanceof UnknownFlowError && error.flowName === "NOPE"
+  );
+});
+
+test("exact inputs move to the state they name", async () => {
+  const { engine, log } = setup(twoSteps);
+  const ctx = { user: userIn("ASK", "FIRST") };
+
+  await engine.handle(ctx, "Next");
+
+  assert.strictEqual(ctx.user.conversationState.currentStep, "SECOND");
+  assert.deepStrictEqual(log, ["prompt SECOND", "save"]);
+});
+
+test('"00" goes back when the state has somewhere to go back to', async () => {
+  const { engine, log } = setup(twoSteps);
+  const ctx = { user: userIn("ASK", "SECOND") };
+
+  await engine.handle(ctx, "00");
+
+  assert.strictEqual(ctx.user.conversationState.currentStep, "FIRST");
+  assert.deepStrictEqual(log, ["prompt FIRST", "save"]);
+});
+
+test('"00" is ordinary input without a back target', async () => {
+  const { engine, log } = setup(twoSteps);
+  const ctx = { user: userIn("ASK", "FIRST") };
+
+  await engine.handle(ctx, "00");
+
+  assert.strictEqual(ctx.user.conversationState.currentStep, "FIRST");
+  assert.deepStrictEqual(log, ["invalid", "prompt FIRST", "save"]);
+});
+
+test('"0" returns to the home flow when the flow exits on zero', async () => {
+  const { engine, log } = setup(twoSteps);
+  const ctx = { user: userIn("ASK", "SECOND") };
+
+  await engine.handle(ctx, "0");
+
+  assert.strictEqual(ctx.user.conversationState.currentFlow, "HOME");
+  assert.deepStrictEqual(log, ["prompt MENU", "save"]);
+});
+
+test("EXIT returns to the home flow", async () => {
+  const { engine } = setup(twoSteps);
+  const ctx = { user: userIn("ASK", "FIRST") };
+
+  await engine.handle(ctx, "Home");
+
+  assert.strictEqual(ctx.user.conversationState.currentFlow, "HOME");
+  assert.strictEqual(ctx.user.conversationState.currentStep, "MENU");
+});
+
+test("INVALID tells the user and prompts again", async () => {
+  const { engine, log } = setup(twoSteps);
+  const ctx = { user: userIn("ASK", "FIRST") };
+
+  await engine.handle(ctx, "something else");
+
+  assert.strictEqual(ctx.user.conversationState.currentStep, "FIRST");
+  assert.deepStrictEqual(log, ["invalid", "prompt FIRST", "save"]);
+});
+
+test("undefined stays in the state without prompting", async () => {
+  const { engine, log } = setup(twoSteps);
+  const ctx = { user: userIn("ASK", "FIRST") };
+
+  await engine.handle(ctx, "skip");
+
+  assert.strictEqual(ctx.user.conversationState.currentStep, "FIRST");
+  assert.deepStrictEqual(log, ["save"]);
+});
+
+test("{ flow, data } starts the other flow with that data", async () => {
+  const { engine, log } = setup(twoSteps);
+  const ctx = { user: userIn("ASK", "SECOND", { orderId: "1" }) };
+
+  await engine.handle(ctx, "Other");
+
+  assert.strictEqual(ctx.user.conversationState.currentFlow, "OTHER");
+  assert.strictEqual(ctx.user.conversationState.data.get("from"), "ASK");
+  assert.strictEqual(ctx.user.conversationState.data.has("orderId"), false);
+  assert.deepStrictEqual(log, ["prompt ONLY", "save"]);
+});
+
+test("a state without a handler rejects other input", async () => {
+  const { engine, log } = setup(twoSteps);
+  const ctx = { user: userIn("OTHER", "ONLY") };
+
+  await engine.handle(ctx, "anything");
+
+  assert.deepStrictEqual(log, ["invalid", "prompt ONLY", "save"]);
+});
+
+test("moving to a state the flow doesn't have throws", async () => {
+  const { engine } = setup(twoSteps);
+  const ctx = { user: userIn("ASK", "SECOND") };
+
+  await assert.rejects(
+    engine.handle(ctx, "anything"),
+    /Unknown state: MISSING/
+  );
+});
+
+test("a state from an older version of the flow restarts it", async () => {
+  const { engine } = setup(twoSteps);
+  const ctx = { user: userIn("ASK", "RENAMED") };
+
+  assert.strictEqual(engine.currentState(ctx).stateName, "FIRST");
+  await engine.handle(ctx, "Next");
+  assert.strictEqual(ctx.user.conversationState.currentStep, "SECOND");
+});
+
+test("handling input in an unknown flow throws UnknownFlowError", async () => {
+  const { engine } = setup(twoSteps);
+  const ctx = { user: userIn("GONE", "FIRST") };
+
+  await assert.rejects(engine.handle(ctx, "Next"), UnknownFlowError);
+});
+
+test("acceptsMedia follows the current state", () => {
+  const { engine } = setup(twoSteps);
+
+  assert.strictEqual(
+    engine.acceptsMedia({ user: userIn("ASK", "FIRST") }),
+    false
+  );
+  assert.strictEqual(
+    engine.acceptsMedia({ user: userIn("ASK", "SECOND") }),
+    true
+  );
+  assert.strictEqual(
+    engine.acceptsMedia({ user: userIn("GONE", "FIRST") }),
+    false
+  );
+});
+
+test("onLeave gets the conversation state being replaced", async () => {
+  const left = [];
+  const { engine } = setup(twoSteps, {
+    onLeave: async (ctx, state) => left.push(state),
+  });
+  const ctx = { user: {} };
+
+  await engine.start(ctx, "ASK", { orderId: "1" });
+  await engine.handle(ctx, "0");
+
+  assert.strictEqual(left.length, 1);
+  assert.strictEqual(left[0].currentFlow, "ASK");
+  assert.strictEqual(left[0].data.get("orderId"), "1");
+});
+
+test("flows must have their initial state", () => {
+  assert.throws(
+    () =>
+      new FlowEngine(
+        { BROKEN: { initial: "START", states: {} } },
+        { home: "BROKEN" }
+      ),
+    /Flow BROKEN has no initial state START/
+  );
+});
@@ -0,0 +1,826 @@
+// Conversation text in each supported language. Placeholders like {name} are
+// filled in by t(). Keys missing from a language fall back to English.
+const LANGUAGES = ["English", "Setswana"];
+
+const catalog = {
+  English: {
+    "common.invalidOption": "Invalid option. Please try again.",
+    "common.backToMainMenu": "Enter 00 to go back to the main menu.",
+    "common.chooseNumber": "Reply with the number of your choice.",
+    "common.backToPreviousStep": "Enter 00 to go back to the previous step.",
+    "common.sessionTimeout":
+      "Your session has timed out. Returning to the main menu.",
+    "common.unknownFlow":
+      "I'm sorry, I didn't understand that. Let's go back to the main menu.",
+    "common.textOnly":
+      "Sorry, we can only accept photos or documents while you are uploading a prescription. Please reply with text.",
+    "common.backNavigation":
+      "Enter 0 to go back to Main Menu\nEnter 00 to go back to the previous step.",
+    "common.error":
+      "Sorry, we encountered an error. Please try again or contact support if the issue persists.",
+
+    "registration.welcome":
+      "Welcome to Telepharma Botswana! To start using our WhatsApp medication delivery service, you need to complete a quick registration process. This will help us serve you better. Let's begin!",
+    "registration.firstName": "Step 1: Please provide your first name.",
+    "registration.surname": "Step 2: Please provide your surname.",
+    "registration.dateOfBirth":
+      "Step 3: Please provide your date of birth in the format DD/MM/YYYY.",
+    "registration.gender":
+      "Step 4: Please select your gender:\n1. MALE\n2. FEMALE",
+    "registration.medicalAidProvider":
+      "Step 5: Please select your medical aid provider. Type a number:",
+    "registration.medicalAidNumber":
+      "Step 6: Please provide your medical aid number.",
+    "registration.scheme":
+      "Step 7: Please select your medical aid scheme. Type a number, or type the name of your scheme if it isn't listed:",
+    "registration.schemeName":
+      "Step 7: Please type the name of your medical aid scheme.",
+    "registration.dependentNumber":
+      'Step 8: If you have a dependent number, please provide it. Otherwise, type "N/A".',
+    "registration.goBack": 'Enter "00" to go back to the previous step.',
+    "registration.textOnly":
+      "Please reply with a text message to continue your registration.",
+    "registration.invalidInput": "Invalid input. Please try again.",
+    "registration.error":
+      "We encountered an error processing your registration. Please try again or contact support at support@mytelempharma.co.bw if the issue persists.",
+    "registration.complete":
+      "Thank you for registering, {name}! Your registration is now complete. You can now use our WhatsApp medication delivery service.",
+
+    "menu.main":
+      "Main Menu:\n\nType DEPENDANTS to manage your dependants, NOTIFICATIONS to choose how we send you updates, or LANGUAGE to change the language.",
+    "menu.more": "More Options:",
+    "menu.consult": "Who would you like to consult?",
+    "menu.greeting": "Hello {name}! How can I assist you today?",
+    "menu.pharmacyIssue":
+      "Please describe your issue or question for the pharmacy.\n\nEnter 00 to go back to the main menu.",
+    "menu.doctorIssue":
+      "Please describe your symptoms or question for the doctor.\n\nEnter 00 to go back to the main menu.",
+    "menu.enquiry":
+      "Please enter your general enquiry.\n\nEnter 00 to go back to the main menu.",
+    "tickets.replyPharmacy":
+      "A pharmacy consultant will get back to you shortly.",
+    "tickets.replyDoctor": "A doctor will get back to you shortly.",
+    "tickets.replyEnquiry": "We will address your enquiry as soon as possible.",
+    "tickets.opened":
+      "Thank you. {reply}\n\nYour ticket reference is {ticketNumber}. You can send more details here and we will add them to your ticket, or check its status later from the main menu under More > My Tickets.\n\nEnter 00 to go back to the main menu.",
+    "tickets.closed":
+      "This ticket has been closed. Please start a new request from the main menu if you need further help.",
+    "tickets.messageAdded":
+      "Your message has been added to ticket {ticketNumber}.\n\nEnter 00 to go back to the main menu.",
+    "tickets.none":
+      "You don't have any tickets yet.\n\nEnter 00 to go back to the main menu.",
+    "tickets.heading": "Your tickets:",
+    "tickets.selectInstructions":
+      "Enter the number of the ticket to view details, or 00 to go back to the main menu.",
+    "tickets.invalidSelection":
+      "Invalid selection. Please enter a valid ticket number or 00 to go back to the main menu.",
+    "tickets.notFound":
+      "We couldn't find a ticket with the reference {ticketNumber}.",
+    "tickets.details":
+      "Ticket Details:\nReference: {ticketNumber}\nType: {type}\nOpened: {date}\nStatus: {status}",
+    "tickets.latestMessages": "Latest messages:",
+    "tickets.messageFromPatient": "You: {body}",
+    "tickets.messageFromStaff": "Staff: {body}",
+    "tickets.status.Pending": "Pending",
+    "tickets.status.Assigned": "Assigned",
+    "tickets.status.In Progress": "In progress",
+    "tickets.status.Completed": "Completed",
+    "tickets.status.Cancelled": "Cancelled",
+    "tickets.type.Medication Delivery": "Medication delivery",
+    "tickets.type.Pharmacy Consultation": "Pharmacy consultation",
+    "tickets.type.Doctor Consultation": "Doctor consultation",
+    "tickets.type.General Enquiry": "General enquiry",
+    "tickets.statusChanged":
+      "The status of your ticket {ticketNumber} is now: {status}.",
+    "tickets.staffReply":
+      "{staff} replied to your ticket {ticketNumber}:\n\n{body}",
+
+    "staff.role.Pharmacist": "Pharmacist",
+    "staff.role.Doctor": "Doctor",
+    "staff.role.Admin": "Administrator",
+    "staff.named": "{role} {name}",
+    "staff.unnamed": "our {role}",
+
+    "liveChat.started":
+      "You are now chatting with {staff} about ticket {ticketNumber}. Send your messages here.",
+    "liveChat.ended":
+      "Your chat about ticket {ticketNumber} has ended. Thank you for contacting us.",
+    "liveChat.closed": "This chat has ended.",
+    "liveChat.staffMessage": "{staff}: {body}",
+    "liveChat.staffStarted":
+      "Live chat started for ticket {ticketNumber} with {patient}. Patient messages will be forwarded to you here.",
+    "liveChat.endedByPatient":
+      "Live chat for ticket {ticketNumber} has been ended by the patient.",
+    "liveChat.endedByStaff":
+      "Live chat for ticket {ticketNumber} has been ended by the staff member.",
+    "menu.chooseLanguage": "Please choose your language:",
+    "menu.languageChanged": "Your language is now English.",
+
+    "order.medicationType": "Medication Details:",
+    "order.medicationTypeHelp":
+      "Prescription: For prescribed medications\nOTC: For over-the-counter medications\n\nEnter 00 to go back to the main menu.",
+    "order.uploadPrompt":
+      "Please upload a photo or PDF of your prescription. If it has several pages, send each page as a separate photo.\n\nEnter 00 to go back to the previous step.",
+    "order.tooManyPages":
+      "You can upload at most {max} pages per prescription. Tap Done to continue.",
+    "order.documentReceived": "Prescription document received.",
+    "order.pageReceived": "Page {page} of your prescription received.",
+    "order.morePages":
+      "{received} If your prescription has more pages, send them now. Otherwise tap Done to continue.",
+    "order.fileError":
+      "We encountered an error processing your prescription file.",
+    "order.unsupportedFile":
+      "Sorry, we only accept prescriptions as JPEG, PNG or WEBP photos, or as PDF documents.",
+    "order.fileTooLarge":
+      "Sorry, that file is too large. The maximum size is {max}MB.",
+    "order.uploadAgain": "{reason} Please try uploading it again.",
+    "order.noPrescriptionYet": "We haven't received your prescription yet.",
+    "order.prescriptionReceived": "Prescription received. Thank you.",
+    "order.prescriptionTextReceived": "Prescription text received. Thank you.",
+    "order.prescriptionOptions": "Prescription Options:",
+    "order.noRefills":
+      "You don't have any previous prescription orders to refill.\n\nEnter 00 to go back to the previous step.",
+    "order.selectRefill": "Select a prescription to refill:",
+    "order.selectRefillInstructions":
+      "Enter the number of the prescription you want to refill, or 00 to go back to the previous step.",
+    "order.invalidRefill":
+      "Invalid selection. Please enter a valid prescription number or 00 to go back to the previous step.",
+    "order.prescriptionFor": "Who is the prescription for?",
+    "order.deliveryQuestion":
+      "Would you like the medication to be delivered, or will you be picking it up?",
+    "order.addressQuestion":
+      "Where do you want your medication to be delivered?",
+    "order.enterWorkAddress":
+      "Please enter your work name and physical address.\n\nEnter 00 to go back to the previous step.",
+    "order.enterHomeAddress":
+      "Please enter your home address.\n\nEnter 00 to go back to the previous step.",
+    "order.thanksPrescription":
+      "Thank you for providing your prescription, {name}. Your order number is {orderNumber}. We'll process your request, and a pharmacist will review it.",
+    "order.thanks":
+      "Thank you for your order, {name}! Your order number is {orderNumber}.",
+    "order.willDeliver": "Your medication will be delivered soon.",
+    "order.readyForPickup":
+      "Your medication will be ready for pickup soon at {address}. We'll notify you when it's ready.",
+    "order.error":
+      "We encountered an error processing your order. Please try again or contact support.",
+    "order.summaryHeading": "Please check your order before we submit it:",
+    "order.summaryType": "Order type: {type}",
+    "order.typeOverTheCounter": "Over the counter",
+    "order.typeNewPrescription": "New prescription",
+    "order.typeRefill": "Prescription refill",
+    "order.summaryMedications": "Medications:",
+    "order.refillReview":
+      "A pharmacist will review this refill before it is prepared because {reasons}.",
+    "order.refillReason.NOT_VERIFIED":
+      "the original prescription has not been verified yet",
+    "order.refillReason.EXPIRED": "the prescription has expired",
+    "order.refillReason.NO_REFILL_TERMS":
+      "the pharmacist still needs to confirm how many refills the prescription allows",
+    "order.refillReason.NO_REFILLS_LEFT":
+      "there are no refills left on the prescription",
+    "order.refillReason.TOO_EARLY": "it is too early for the next refill",
+    "order.refillReason.NO_MEDICATIONS":
+      "the pharmacist still needs to record the medications on the prescription",
+    "order.summaryRefillOf": "Refill of order {orderNumber}",
+    "order.summaryPages": "Prescription: {count} page(s) uploaded",
+    "order.summaryNotes": "Prescription notes: {text}",
+    "order.summaryFor": "For: {who}",
+    "order.summaryDelivery": "Delivery to {place}: {address}",
+    "order.summaryPickup": "Pickup from: {address}",
+    "order.editQuestion": "What would you like to change?",
+    "order.draftCancelled":
+      "Your order has been cancelled. Nothing was submitted.",
+
+    "orders.none":
+      "You don't have any orders yet.\n\nEnter 00 to go back to the main menu.",
+    "orders.heading": "Your last 10 orders:",
+    "orders.selectInstructions":
+      "Enter the number in the list or the order number (e.g. TPB-20240721-0001) to view details, or 00 to go back to the main menu.",
+    "orders.invalidSelection":
+      "Invalid selection. Please enter a valid order number or 00 to go back to the main menu.",
+    "orders.notFound":
+      "We couldn't find that order.\n\nEnter B to view your orders again or 00 to go back to the main menu.",
+    "orders.details":
+      "Order Details:\nOrder Number: {orderNumber}\nDate: {date}\nStatus: {status}\nType: {type}\nDelivery Method: {deliveryMethod}",
+    "orders.deliveryAddress": "Delivery Address: {address}",
+    "orders.notesHeading": "Your notes:",
+    "orders.timelineHeading": "Timeline:",
+    "orders.timelineEntry": "{when}: {status}",
+    "orders.timelineByPatient": "{when}: {status} by you",
+    "orders.timelineByStaff": "{when}: {status} by the pharmacy",
+    "orders.detailsFooter":
+      "Enter B to view your orders again or 00 to go back to the main menu.",
+    "orders.status.PENDING": "Pending",
+    "orders.status.PROCESSING": "Being prepared",
+    "orders.status.READY_FOR_PICKUP": "Ready for pickup",
+    "orders.status.OUT_FOR_DELIVERY": "Out for delivery",
+    "orders.status.DELIVERED": "Delivered",
+    "orders.status.CANCELLED": "Cancelled",
+    "orders.deliveryMethod.DELIVERY": "Delivery",
+    "orders.deliveryMethod.PICKUP": "Pickup",
+    "orders.confirmCancel":
+      "Are you sure you want to cancel order {orderNumber}?",
+    "orders.cannotCancel":
+      "This order can no longer be cancelled. Please contact the pharmacy if you need help.",
+    "orders.cancelled": "Your order {orderNumber} has been cancelled.",
+    "orders.cannotChangeDelivery":
+      "This order's delivery details can no longer be changed. Please contact the pharmacy if you need help.",
+    "orders.deliveryChanged":
+      "The delivery details for order {orderNumber} have been updated.",
+    "orders.notePrompt":
+      "Please type your note for the pharmacist.\n\nEnter 00 to go back to the order.",
+    "orders.noteAdded":
+      "Your note has been added to order {orderNumber}. The pharmacist will see it when they review your order.",
+    "orders.noteClosed": "Notes can no longer be added to this order.",
+
+    "orderUpdate.PROCESSING":
+      "Hi{name}! Your order {orderNumber} has been reviewed and is now being processed by our pharmacist.",
+    "orderUpdate.READY_FOR_PICKUP":
+      "Good news{name}! Your order {orderNumber} is ready for pickup at {address}.",
+    "orderUpdate.OUT_FOR_DELIVERY":
+      "Hi{name}! Your order {orderNumber} is out for delivery to {address}.",
+    "orderUpdate.yourAddress": "your address",
+    "orderUpdate.COLLECTED":
+      "Thank you{name}! Your order {orderNumber} has been collected.",
+    "orderUpdate.DELIVERED":
+      "Thank you{name}! Your order {orderNumber} has been delivered.",
+    "orderUpdate.CANCELLED":
+      "Hi{name}. Your order {orderNumber} has been cancelled. Please contact support at support@mytelempharma.co.bw if you have any questions.",
+    "orderUpdate.other":
+      "Hi{name}. The status of your order {orderNumber} is now {status}.",
+
+    "cart.prompt":
+      'Please enter a medication to add to your cart, with the quantity if you need more than one, e.g. "Panado x 2".\n\nEnter 00 to go back to the previous step.',
+    "cart.notInCatalogue":
+      "not in our catalogue, a pharmacist will confirm availability",
+    "cart.outOfStock": "out of stock",
+    "cart.onlyInStock": "only {available} in stock",
+    "cart.invalidQuantity":
+      'Could not add "{entry}". Quantities must be between 1 and {max}.',
+    "cart.full":
+      "Could not add {name}. Your cart can hold at most {max} items.",
+    "cart.added": "Added {quantity} x {name} to your cart.",
+    "cart.stockWarning": "Please note: {name} is {warning}.",
+    "cart.empty": "Your cart is empty.",
+    "cart.heading": "Your cart:",
+    "cart.removePrompt": "Which item would you like to remove?",
+    "cart.removeInstructions":
+      "Enter the number of the item, or 00 to go back to your cart.",
+    "cart.emptyCheckout":
+      "Your cart is empty. Please add at least one item before checking out.",
+    "cart.invalidRemove":
+      "Invalid selection. Please enter a valid item number or 00 to go back to your cart.",
+    "cart.removed": "Removed {name} from your cart.",
+
+    "refills.offer":
+      "Would you like us to refill this prescription automatically? We'll send you a reminder before each refill is due.",
+    "refills.subscribed":
+      "Done! Your prescription will be refilled every {days} days. We'll remind you before the first refill on {date}.",
+    "refills.reminder":
+      "Hi {name}, your refill of {medications} is due on {date}. Shall we prepare it for you?",
+    "refills.skipped":
+      "Okay, we've skipped this refill. Your next refill is due on {date}.",
+    "refills.stopped":
+      "Your automatic refills have been stopped. You can start them again after your next prescription order.",
+    "refills.unavailable": "This refill reminder is no longer active.",
+    "refills.medicationsPending": "your prescribed medication",
+
+    "adherence.scheduled":
+      "Your pharmacist has set up reminders for your medication:\n{schedule}\n\nWe'll message you when each dose is due.",
+    "adherence.reminder": "Hi {name}, it's time to take your {medication}.",
+    "adherence.taken": "Well done! We've recorded your dose of {medication}.",
+    "adherence.snoozed": "We'll remind you again in {minutes} minutes.",
+    "adherence.skipped":
+      "We've recorded that you skipped this dose. Please contact a pharmacist if you have any concerns about your medication.",
+    "adherence.doseClosed": "This dose reminder is no longer active.",
+    "adherence.missed":
+      "We didn't hear back about your {medication}, so we've recorded this dose as missed.",
+
+    "notifications.choose":
+      "Order and ticket updates are currently sent to you by {channel}. How would you like to receive them?\n\nEnter 00 to go back to the main menu.",
+    "notifications.enterEmail":
+      "Please type your email address.\n\nEnter 00 to go back to the previous step.",
+    "notifications.invalidEmail":
+      "That doesn't look like an email address. Please try again.",
+    "notifications.saved": "Done! We'll send your updates by {channel}.",
+
+    "schemeUpdate.prompt":
+      "Before we continue: we couldn't match your medical aid scheme \"{scheme}\" to a {provider} scheme. Please select your scheme. Type a number, or type its name if it isn't listed. Type 0 to keep your details as they are.",
+    "schemeUpdate.saved": "Thank you, your scheme is now {scheme}.",
+    "schemeUpdate.kept":
+      "Okay, we've kept your details. A pharmacist will check your medical aid when you next order.",
+
+    "dependants.heading": "Your dependants:",
+    "dependants.none": "You haven't added any dependants yet.",
+    "dependants.select":
+      "Which dependant is the prescription for? Enter the number of your choice, or 00 to go back to the previous step.",
+    "dependants.addNew": "Add a new dependant",
+    "dependants.firstName": "What is your dependant's first name?",
+    "dependants.surname": "What is your dependant's surname?",
+    "dependants.dateOfBirth":
+      "What is your dependant's date of birth? (DD/MM/YYYY)",
+    "dependants.dependentNumber":
+      "What is your dependant's dependent number on your medical aid (e.g. 01)?",
+    "dependants.invalidDateOfBirth":
+      "Please enter a valid date of birth in the past, e.g. 21/07/2015.",
+    "dependants.added": "{name} has been added to your dependants.",
+    "dependants.removePrompt":
+      "Which dependant would you like to remove? Enter their number, or 00 to go back.",
+    "dependants.removed": "{name} has been removed from your dependants.",
+    "dependants.invalidSelection":
+      "Invalid selection. Please enter a number from the list, or 00 to go back.",
+
+    // Button titles; WhatsApp allows at most 20 characters
+    "button.placeOrder": "Place an Order",
+    "button.viewOrderStatus": "View Order Status",
+    "button.more": "More",
+    "button.medConsultation": "Med Consultation",
+    "button.generalEnquiry": "General Enquiry",
+    "button.myTickets": "My Tickets",
+    "button.pharmacist": "Pharmacist",
+    "button.doctor": "Doctor",
+    "button.prescription": "Prescription",
+    "button.otc": "OTC",
+    "button.done": "Done",
+    "button.addItem": "Add Item",
+    "button.removeItem": "Remove Item",
+    "button.checkout": "Checkout",
+    "button.prescriptionRefill": "Prescription Refill",
+    "button.newPrescription": "New Prescription",
+    "button.principalMember": "Principal Member",
+    "button.dependant": "Dependant",
+    "button.delivery": "Delivery",
+    "button.pickup": "Pickup",
+    "button.work": "Work",
+    "button.home": "Home",
+    "button.english": "English",
+    "button.setswana": "Setswana",
+    "button.confirm": "Confirm",
+    "button.edit": "Edit",
+    "button.cancel": "Cancel",
+    "button.editMedication": "Medication",
+    "button.editPatient": "Patient",
+    "button.editDelivery": "Delivery Details",
+    "button.addDependant": "Add Dependant",
+    "button.removeDependant": "Remove Dependant",
+    "button.every30Days": "Every 30 Days",
+    "button.every60Days": "Every 60 Days",
+    "button.noThanks": "No Thanks",
+    "button.refill": "Refill",
+    "button.skip": "Skip",
+    "button.stop": "Stop",
+    "button.taken": "Taken",
+    "button.snooze": "Snooze",
+    "button.notifyWhatsApp": "WhatsApp",
+    "button.notifySms": "SMS",
+    "button.notifyEmail": "Email",
+    "button.cancelOrder": "Cancel Order",
+    "button.changeDelivery": "Change Delivery",
+    "button.addNote": "Add Note",
+    "button.confirmCancel": "Yes, Cancel Order",
+    "button.keepOrder": "Keep Order",
+    "button.endChat": "End Chat",
+  },
+
+  Setswana: {
+    "common.invalidOption": "Kgetho e e sa siamang. Tsweetswee leka gape.",
+    "common.backToMainMenu": "Kwala 00 go boela kwa lenaaneng le legolo.",
+    "common.chooseNumber": "Araba ka nomore ya kgetho ya gago.",
+    "common.backToPreviousStep": "Kwala 00 go boela kwa kgatong e e fetileng.",
+    "common.sessionTimeout":
+      "Nako ya puisano e fetile. Re boela kwa lenaaneng le legolo.",
+    "common.unknownFlow":
+      "Maitshwarelo, ga ke a tlhaloganya. A re boeleng kwa lenaaneng le legolo.",
+    "common.textOnly":
+      "Maitshwarelo, re amogela ditshwantsho kgotsa dikwalo fela fa o romela lekwalo la ngaka. Tswee-tswee araba ka mafoko.",
+    "common.backNavigation":
+      "Kwala 0 go boela kwa Lenaaneng le Legolo\nKwala 00 go boela kwa kgatong e e fetileng.",
+    "common.error":
+      "Maitshwarelo, go nnile le phoso. Tsweetswee leka gape kgotsa ikgolaganye le rona fa bothata bo tswelela.",
+
+    "registration.welcome":
+      "O amogetswe kwa Telepharma Botswana! Go simolola go dirisa tirelo ya rona ya go romela melemo ka WhatsApp, o tshwanetse go ikwadisa ka bonako. Se se tla re thusa go go direla botoka. A re simolole!",
+    "registration.firstName": "Kgato 1: Tsweetswee re neye leina la gago.",
+    "registration.surname": "Kgato 2: Tsweetswee re neye sefane sa gago.",
+    "registration.dateOfBirth":
+      "Kgato 3: Tsweetswee re neye letlha la matsalo a gago ka mokgwa o DD/MM/YYYY.",
+    "registration.gender":
+      "Kgato 4: Tsweetswee tlhopha bong jwa gago:\n1. MONNA\n2. MOSADI",
+    "registration.medicalAidProvider":
+      "Kgato 5: Tsweetswee tlhopha medical aid ya gago. Kwala nomore:",
+    "registration.medicalAidNumber":
+      "Kgato 6: Tsweetswee re neye nomore ya gago ya medical aid.",
+    "registration.scheme":
+      "Kgato 7: Tsweetswee tlhopha scheme ya gago ya medical aid. Kwala nomore, kgotsa kwala leina la scheme ya gago fa e le siyo mo lenaaneng:",
+    "registration.schemeName":
+      "Kgato 7: Tsweetswee kwala leina la scheme ya gago ya medical aid.",
+    "registration.dependentNumber":
+      'Kgato 8: Fa o na le nomore ya dependant, tsweetswee e kwale. Fa go sa nna jalo, kwala "N/A".',
+    "registration.goBack": 'Kwala "00" go boela kwa kgatong e e fetileng.',
+    "registration.textOnly":
+      "Tsweetswee araba ka molaetsa wa mafoko go tswelela ka go ikwadisa.",
+    "registration.invalidInput":
+      "Se o se kwadileng ga se a siama. Tsweetswee leka gape.",
+    "registration.error":
+      "Go nnile le phoso fa re ne re dira go ikwadisa ga gago. Tsweetswee leka gape kgotsa ikgolaganye le rona kwa support@mytelempharma.co.bw fa bothata bo tswelela.",
+    "registration.complete":
+      "Re a leboga go ikwadisa, {name}! Go ikwadisa ga gago go weditswe. Jaanong o ka dirisa tirelo ya rona ya go romela melemo ka WhatsApp.",
+
+    "menu.main":
+      "Lenaane le Legolo:\n\nKwala BATSHEGETSWA go laola batshegetswa ba gago, DITSHIBOSO go tlhopha gore re go romelela dikitsiso jang, kgotsa PUO go fetola puo.",
+    "menu.more": "Dikgetho Tse Dingwe:",
+    "menu.consult": "O batla go buisana le mang?",
+    "menu.greeting": "Dumela {name}! Ke ka go thusa jang gompieno?",
+    "menu.pharmacyIssue":
+      "Tsweetswee tlhalosa bothata kgotsa potso ya gago go rakhemisi.\n\nKwala 00 go boela kwa lenaaneng le legolo.",
+    "menu.doctorIssue":
+      "Tsweetswee tlhalosa matshwao kgotsa potso ya gago go ngaka.\n\nKwala 00 go boela kwa lenaaneng le legolo.",
+    "menu.enquiry":
+      "Tsweetswee kwala potso ya gago.\n\nKwala 00 go boela kwa lenaaneng le legolo.",
+    "tickets.replyPharmacy": "Mogakolodi wa khemisi o tla go araba ka bonako.",
+    "tickets.replyDoctor": "Ngaka e tla go araba ka bonako.",
+    "tickets.replyEnquiry":
+      "Re tla araba potso ya gago ka bonako jo bo kgonegang.",
+    "tickets.opened":
+      "Ke a leboga. {reply}\n\nNomore ya thekete ya gago ke {ticketNumber}. O ka romela dintlha tse dingwe fa mme re tla di tsenya mo thekete ya gago, kgotsa wa tlhola maemo a yone moragonyana mo lenaaneng le legolo ka fa tlase ga Tse Dingwe > Dithekete Tsa Me.\n\nKwala 00 go boela kwa lenaaneng le legolo.",
+    "tickets.closed":
+      "Thekete e e tswetswe. Tswee-tswee simolola kopo e ntsha mo lenaaneng le legolo fa o tlhoka thuso e nngwe.",
+    "tickets.messageAdded":
+      "Molaetsa wa gago o tsentswe mo thekete {ticketNumber}.\n\nKwala 00 go boela kwa lenaaneng le legolo.",
+    "tickets.none":
+      "Ga o ise o nne le thekete epe.\n\nKwala 00 go boela kwa lenaaneng le legolo.",
+    "tickets.heading": "Dithekete tsa gago:",
+    "tickets.selectInstructions":
+      "Kwala nomore ya thekete go bona dintlha, kgotsa 00 go boela kwa lenaaneng le legolo.",
+    "tickets.invalidSelection":
+      "Kgetho e e sa siamang. Tswee-tswee kwala nomore ya thekete e e siameng kgotsa 00 go boela kwa lenaaneng le legolo.",
+    "tickets.notFound":
+      "Ga re a bona thekete e e nang le nomore {ticketNumber}.",
+    "tickets.details":
+      "Dintlha tsa Thekete:\nNomore: {ticketNumber}\nMofuta: {type}\nE butswe: {date}\nMaemo: {status}",
+    "tickets.latestMessages": "Melaetsa ya bofelo:",
+    "tickets.messageFromPatient": "Wena: {body}",
+    "tickets.messageFromStaff": "Badiri: {body}",
+    "tickets.status.Pending": "E emetse",
+    "tickets.status.Assigned": "E abetswe modiri",
+    "tickets.status.In Progress": "E a dirwa",
+    "tickets.status.Completed": "E weditswe",
+    "tickets.status.Cancelled": "E khanseletswe",
+    "tickets.type.Medication Delivery": "Go romelelwa melemo",
+    "tickets.type.Pharmacy Consultation": "Therisano le rakhemisi",
+    "tickets.type.Doctor Consultation": "Therisano le ngaka",
+    "tickets.type.General Enquiry": "Potso e akaretsang",
+    "tickets.statusChanged":
+      "Maemo a thekete ya gago {ticketNumber} jaanong ke: {status}.",
+    "tickets.staffReply":
+      "{staff} o arabile thekete ya gago {ticketNumber}:\n\n{body}",
+
+    "staff.role.Pharmacist": "Rakhemisi",
+    "staff.role.Doctor": "Ngaka",
+    "staff.role.Admin": "Motsamaisi",
+    "staff.named": "{role} {name}",
+    "staff.unnamed": "{role} wa rona",
+
+    "liveChat.started":
+      "Jaanong o bua le {staff} ka ga thekete {ticketNumber}. Romela melaetsa ya gago fa.",
+    "liveChat.ended":
+      "Puisano ya gago ka ga thekete {ticketNumber} e fedile. Re a leboga go ikgolaganya le rona.",
+    "liveChat.closed": "Puisano e e fedile.",
+    "liveChat.staffMessage": "{staff}: {body}",
+    "liveChat.staffStarted":
+      "Puisano ya thekete {ticketNumber} le {patient} e simologile. Melaetsa ya molwetse e tla romelwa kwa go wena fa.",
+    "liveChat.endedByPatient":
+      "Puisano ya thekete {ticketNumber} e fedisitswe ke molwetse.",
+    "liveChat.endedByStaff":
+      "Puisano ya thekete {ticketNumber} e fedisitswe ke modiri.",
+    "menu.chooseLanguage": "Tsweetswee tlhopha puo:",
+    "menu.languageChanged": "Jaanong puo ya gago ke Setswana.",
+
+    "order.medicationType": "Dintlha tsa Molemo:",
+    "order.medicationTypeHelp":
+      "Lekwalo la Ngaka: Melemo e o e kwaletsweng ke ngaka\nOTC: Melemo e e rekwang kwa ntle ga lekwalo la ngaka\n\nKwala 00 go boela kwa lenaaneng le legolo.",
+    "order.uploadPrompt":
+      "Tsweetswee romela setshwantsho kgotsa PDF ya lekwalo la gago la ngaka. Fa le na le ditsebe di le mmalwa, romela tsebe nngwe le nngwe e le setshwantsho sa yone.\n\nKwala 00 go boela kwa kgatong e e fetileng.",
+    "order.tooManyPages":
+      "O ka romela ditsebe di le {max} fela mo lekwalong la ngaka. Tobetsa Ke Feditse go tswelela.",
+    "order.documentReceived": "Lekwalo la gago la ngaka le amogetswe.",
+    "order.pageReceived":
+      "Tsebe {page} ya lekwalo la gago la ngaka e amogetswe.",
+    "order.morePages":
+      "{received} Fa lekwalo la gago la ngaka le na le ditsebe tse dingwe, di romele jaanong. Fa go sa nna jalo tobetsa Ke Feditse go tswelela.",
+    "order.fileError":
+      "Go nnile le phoso ka faele ya lekwalo la gago la ngaka.",
+    "order.unsupportedFile":
+      "Maitshwarelo, re amogela makwalo a ngaka e le ditshwantsho tsa JPEG, PNG kgotsa WEBP, kgotsa dikwalo tsa PDF fela.",
+    "order.fileTooLarge":
+      "Maitshwarelo, faele eo e kgolo thata. Bogolo jo bo fetisang ke {max}MB.",
+    "order.uploadAgain": "{reason} Tsweetswee leka go e romela gape.",
+    "order.noPrescriptionYet": "Ga re ise re amogele lekwalo la gago la ngaka.",
+    "order.prescriptionReceived": "Lekwalo la ngaka le amogetswe. Re a leboga.",
+    "order.prescriptionTextReceived":
+      "Mafoko a lekwalo la ngaka a amogetswe. Re a leboga.",
+    "order.prescriptionOptions": "Dikgetho tsa Lekwalo la Ngaka:",
+    "order.noRefills":
+      "Ga o na ditaelo tsa pele tsa lekwalo la ngaka tse o ka di tlatsang.\n\nKwala 00 go boela kwa kgatong e e fetileng.",
+    "order.selectRefill": "Tlhopha lekwalo la ngaka le o batlang go le tlatsa:",
+    "order.selectRefillInstructions":
+      "Kwala nomore ya lekwalo la ngaka le o batlang go le tlatsa, kgotsa 00 go boela kwa kgatong e e fetileng.",
+    "order.invalidRefill":
+      "Kgetho e e sa siamang. Tsweetswee kwala nomore e e siameng ya lekwalo la ngaka kgotsa 00 go boela kwa kgatong e e fetileng.",
+    "order.prescriptionFor": "Lekwalo la ngaka ke la mang?",
+    "order.deliveryQuestion":
+      "A o batla gore molemo o go romelelwe, kgotsa o tla tla go o tsaya?",
+    "order.addressQuestion": "O batla gore molemo wa gago o romelwe kae?",
+    "order.enterWorkAddress":
+      "Tsweetswee kwala leina la kwa o berekang teng le aterese ya teng.\n\nKwala 00 go boela kwa kgatong e e fetileng.",
+    "order.enterHomeAddress":
+      "Tsweetswee kwala aterese ya gago ya kwa gae.\n\nKwala 00 go boela kwa kgatong e e fetileng.",
+    "order.thanksPrescription":
+      "Re a leboga go re naya lekwalo la gago la ngaka, {name}. Nomore ya taelo ya gago ke {orderNumber}. Re tla dira kopo ya gago, mme rakhemisi o tla e sekaseka.",
+    "order.thanks":
+      "Re a leboga ka taelo ya gago, {name}! Nomore ya taelo ya gago ke {orderNumber}.",
+    "order.willDeliver": "Molemo wa gago o tla romelwa go ise go ye kae.",
+    "order.readyForPickup":
+      "Molemo wa gago o tla bo o siametse go tsewa go ise go ye kae kwa {address}. Re tla go itsise fa o siame.",
+    "order.error":
+      "Go nnile le phoso fa re ne re dira taelo ya gago. Tsweetswee leka gape kgotsa ikgolaganye le rona.",
+    "order.summaryHeading": "Tsweetswee tlhola taelo ya gago pele re e romela:",
+    "order.summaryType": "Mofuta wa taelo: {type}",
+    "order.typeOverTheCounter": "Molemo o o rekwang fela",
+    "order.typeNewPrescription": "Lekwalo la ngaka le lesha",
+    "order.typeRefill": "Go tlatsa lekwalo la ngaka",
+    "order.summaryMedications": "Melemo:",
+    "order.refillReview":
+      "Rakhemisi o tla sekaseka go tlatsa mo pele ga go baakanngwa ka gonne {reasons}.",
+    "order.refillReason.NOT_VERIFIED":
+      "lekwalo la ngaka la ntlha ga le ise le netefadiwe",
+    "order.refillReason.EXPIRED": "nako ya lekwalo la ngaka e fetile",
+    "order.refillReason.NO_REFILL_TERMS":
+      "rakhemisi o santse a tshwanetse go netefatsa gore lekwalo la ngaka le letla go tlatswa ga kae",
+    "order.refillReason.NO_REFILLS_LEFT":
+      "ga go sa na go tlatsa go go setseng mo lekwalong la ngaka",
+    "order.refillReason.TOO_EARLY": "nako ya go tlatsa gape ga e ise e goroge",
+    "order.refillReason.NO_MEDICATIONS":
+      "rakhemisi o santse a tshwanetse go kwala melemo e e mo lekwalong la ngaka",
+    "order.summaryRefillOf": "Go tlatsa taelo {orderNumber}",
+    "order.summaryPages": "Lekwalo la ngaka: ditsebe di le {count} di rometswe",
+    "order.summaryNotes": "Dintlha tsa lekwalo la ngaka: {text}",
+    "order.summaryFor": "Ke la: {who}",
+    "order.summaryDelivery": "Go romelwa {place}: {address}",
+    "order.summaryPickup": "Go tsewa kwa: {address}",
+    "order.editQuestion": "O batla go fetola eng?",
+    "order.draftCancelled":
+      "Taelo ya gago e khanseletswe. Ga go a romelwa sepe.",
+
+    "orders.none":
+      "Ga o ise o dire taelo epe.\n\nKwala 00 go boela kwa lenaaneng le legolo.",
+    "orders.heading": "Ditaelo tsa gago di le 10 tsa bofelo:",
+    "orders.selectInstructions":
+      "Kwala nomore e e mo lenaaneng kgotsa nomore ya taelo (sk. TPB-20240721-0001) go bona dintlha, kgotsa 00 go boela kwa lenaaneng le legolo.",
+    "orders.invalidSelection":
+      "Kgetho e e sa siamang. Tswee-tswee kwala nomore ya taelo e e siameng kgotsa 00 go boela kwa lenaaneng le legolo.",
+    "orders.notFound":
+      "Ga re a bona taelo eo.\n\nKwala B go bona ditaelo tsa gago gape kgotsa 00 go boela kwa lenaaneng le legolo.",
+    "orders.details":
+      "Dintlha tsa Taelo:\nNomore ya Taelo: {orderNumber}\nLetlha: {date}\nMaemo: {status}\nMofuta: {type}\nMokgwa wa go Amogela: {deliveryMethod}",
+    "orders.deliveryAddress": "Aterese ya Romelo: {address}",
+    "orders.notesHeading": "Dikwalo tsa gago:",
+    "orders.timelineHeading": "Tsamaiso ya taelo:",
+    "orders.timelineEntry": "{when}: {status}",
+    "orders.timelineByPatient": "{when}: {status} ke wena",
+    "orders.timelineByStaff": "{when}: {status} ke khemisi",
+    "orders.detailsFooter":
+      "Kwala B go bona ditaelo tsa gago gape kgotsa 00 go boela kwa lenaaneng le legolo.",
+    "orders.status.PENDING": "E emetse",
+    "orders.status.PROCESSING": "E a baakanngwa",
+    "orders.status.READY_FOR_PICKUP": "E siametse go tsewa",
+    "orders.status.OUT_FOR_DELIVERY": "E mo tseleng",
+    "orders.status.DELIVERED": "E romeletswe",
+    "orders.status.CANCELLED": "E khanseletswe",
+    "orders.deliveryMethod.DELIVERY": "Go romelelwa",
+    "orders.deliveryMethod.PICKUP": "Go tla go tsaya",
+    "orders.confirmCancel":
+      "A o tlhomamisa gore o batla go khansela taelo {orderNumber}?",
+    "orders.cannotCancel":
+      "Taelo e ga e sa kgone go khanselwa. Tswee-tswee ikgolaganye le khemisi fa o tlhoka thuso.",
+    "orders.cancelled": "Taelo ya gago {orderNumber} e khanseletswe.",
+    "orders.cannotChangeDelivery":
+      "Dintlha tsa romelo tsa taelo e ga di sa kgone go fetolwa. Tswee-tswee ikgolaganye le khemisi fa o tlhoka thuso.",
+    "orders.deliveryChanged":
+      "Dintlha tsa romelo tsa taelo {orderNumber} di fetotswe.",
+    "orders.notePrompt":
+      "Tswee-tswee kwala molaetsa wa gago go rakhemisi.\n\nKwala 00 go boela kwa taelong.",
+    "orders.noteAdded":
+      "Molaetsa wa gago o tsentswe mo taelong {orderNumber}. Rakhemisi o tla o bona fa a sekaseka taelo ya gago.",
+    "orders.noteClosed": "Ga go sa kgonege go tsenya melaetsa mo taelong e.",
+
+    "orderUpdate.PROCESSING":
+      "Dumela{name}! Taelo ya gago {orderNumber} e sekasekilwe mme jaanong e a baakanngwa ke rakhemisi wa rona.",
+    "orderUpdate.READY_FOR_PICKUP":
+      "Dikgang tse di monate{name}! Taelo ya gago {orderNumber} e siametse go tsewa kwa {address}.",
+    "orderUpdate.OUT_FOR_DELIVERY":
+      "Dumela{name}! Taelo ya gago {orderNumber} e mo tseleng go ya kwa {address}.",
+    "orderUpdate.yourAddress": "aterese ya gago",
+    "orderUpdate.COLLECTED":
+      "Re a leboga{name}! Taelo ya gago {orderNumber} e tserwe.",
+    "orderUpdate.DELIVERED":
+      "Re a leboga{name}! Taelo ya gago {orderNumber} e romeletswe.",
+    "orderUpdate.CANCELLED":
+      "Dumela{name}. Taelo ya gago {orderNumber} e khanseletswe. Tswee-tswee ikgolaganye le rona kwa support@mytelempharma.co.bw fa o na le dipotso.",
+    "orderUpdate.other":
+      "Dumela{name}. Maemo a taelo ya gago {orderNumber} jaanong ke {status}.",
+
+    "cart.prompt":
+      'Tsweetswee kwala molemo o o batlang go o tsenya mo kolong ya gago, le palo fa o batla e feta bongwe, sk. "Panado x 2".\n\nKwala 00 go boela kwa kgatong e e fetileng.',
+    "cart.notInCatalogue":
+      "ga o mo lenaaneng la rona, rakhemisi o tla netefatsa fa o le teng",
+    "cart.outOfStock": "o fedile",
+    "cart.onlyInStock": "go setse {available} fela",
+    "cart.invalidQuantity":
+      'Ga re a kgona go tsenya "{entry}". Palo e tshwanetse go nna magareng ga 1 le {max}.',
+    "cart.full":
+      "Ga re a kgona go tsenya {name}. Kolo ya gago e ka tshola dilo di le {max} fela.",
+    "cart.added": "Go tsentswe {quantity} x {name} mo kolong ya gago.",
+    "cart.stockWarning": "Ela tlhoko: {name} {warning}.",
+    "cart.empty": "Kolo ya gago ga e na sepe.",
+    "cart.heading": "Kolo ya gago:",
+    "cart.removePrompt": "O batla go ntsha selo sefe?",
+    "cart.removeInstructions":
+      "Kwala nomore ya selo, kgotsa 00 go boela kwa kolong ya gago.",
+    "cart.emptyCheckout":
+      "Kolo ya gago ga e na sepe. Tsweetswee tsenya bonnye selo se le sengwe pele o wetsa taelo.",
+    "cart.invalidRemove":
+      "Kgetho e e sa siamang. Tsweetswee kwala nomore e e siameng ya selo kgotsa 00 go boela kwa kolong ya gago.",
+    "cart.removed": "{name} o ntshitswe mo kolong ya gago.",
+
+    "refills.offer":
+      "A o batla gore re tlatse lekwalo le la ngaka ka bo rona ka metlha? Re tla go gopotsa pele ga go tlatsa mongwe le mongwe.",
+    "refills.subscribed":
+      "Go siame! Lekwalo la gago la ngaka le tla tlatswa gangwe mo malatsing a le {days}. Re tla go gopotsa pele ga go tlatsa ga ntlha ka {date}.",
+    "refills.reminder":
+      "Dumela {name}, go tlatsa ga {medications} go tshwanetse ka {date}. A re go go baakanyetse?",
+    "refills.skipped":
+      "Go siame, re tlodisitse go tlatsa mo. Go tlatsa go go latelang go tshwanetse ka {date}.",
+    "refills.stopped":
+      "Go tlatsa ka bo rona go emisitswe. O ka go simolola gape morago ga taelo ya gago e e latelang ya lekwalo la ngaka.",
+    "refills.unavailable": "Kgopotso e ya go tlatsa ga e sa dire.",
+    "refills.medicationsPending": "melemo e o e kwaletsweng",
+
+    "adherence.scheduled":
+      "Rakhemisi wa gago o go baakanyeditse dikgopotso tsa melemo ya gago:\n{schedule}\n\nRe tla go romelela molaetsa fa nako ya go nwa molemo e goroga.",
+    "adherence.reminder": "Dumela {name}, ke nako ya go nwa {medication}.",
+    "adherence.taken": "O dirile sentle! Re kwadile gore o nwele {medication}.",
+    "adherence.snoozed": "Re tla go gopotsa gape mo metsotsong e le {minutes}.",
+    "adherence.skipped":
+      "Re kwadile gore o tlodile selekanyo se. Tswee-tswee ikgolaganye le rakhemisi fa o na le dipelaelo ka melemo ya gago.",
+    "adherence.doseClosed": "Kgopotso e ya molemo ga e sa dire.",
+    "adherence.missed":
+      "Ga re a utlwa sepe ka {medication}, ka jalo re kwadile gore ga o a nwa selekanyo se.",
+
+    "notifications.choose":
+      "Dikitsiso tsa ditaelo le dithekete di go romelelwa ka {channel}. O batla go di amogela jang?\n\nKwala 00 go boela kwa lenaaneng le legolo.",
+    "notifications.enterEmail":
+      "Tswee-tswee kwala aterese ya gago ya imeile.\n\nKwala 00 go boela kwa kgatong e e fetileng.",
+    "notifications.invalidEmail":
+      "Seo ga se lebege jaaka aterese ya imeile. Tswee-tswee leka gape.",
+    "notifications.saved":
+      "Go siame! Re tla go romelela dikitsiso ka {channel}.",
+
+    "schemeUpdate.prompt":
+      'Pele re tswelela: ga re a kgona go tshwantsha scheme ya gago ya medical aid "{scheme}" le scheme ya {provider}. Tswee-tswee tlhopha scheme ya gago. Kwala nomore, kgotsa kwala leina la yone fa e le siyo mo lenaaneng. Kwala 0 go tlogela dintlha tsa gago jaaka di ntse.',
+    "schemeUpdate.saved": "Ke a leboga, scheme ya gago jaanong ke {scheme}.",
+    "schemeUpdate.kept":
+      "Go siame, re bolokile dintlha tsa gago. Rakhemisi o tla tlhola medical aid ya gago fa o dira taelo e e latelang.",
+
+    "dependants.heading": "Batshegetswa ba gago:",
+    "dependants.none": "Ga o ise o tsenye motshegetswa ope.",
+    "dependants.select":
+      "Lekwalo la ngaka ke la motshegetswa ofe? Kwala nomore ya kgetho ya gago, kgotsa 00 go boela kwa kgatong e e fetileng.",
+    "dependants.addNew": "Tsenya motshegetswa yo mosha",
+    "dependants.firstName": "Leina la motshegetswa wa gago ke mang?",
+    "dependants.surname": "Sefane sa motshegetswa wa gago ke sefe?",
+    "dependants.dateOfBirth":
+      "Motshegetswa wa gago o tsetswe leng? (DD/MM/YYYY)",
+    "dependants.dependentNumber":
+      "Nomore ya motshegetswa wa gago mo medical aid ya gago ke efe (sk. 01)?",
+    "dependants.invalidDateOfBirth":
+      "Tsweetswee kwala letsatsi la tsalo le le siameng le le fetileng, sk. 21/07/2015.",
+    "dependants.added": "{name} o tsentswe mo batshegetsweng ba gago.",
+    "dependants.removePrompt":
+      "O batla go ntsha motshegetswa ofe? Kwala nomore ya gagwe, kgotsa 00 go boela morago.",
+    "dependants.removed": "{name} o ntshitswe mo batshegetsweng ba gago.",
+    "dependants.invalidSelection":
+      "Kgetho e e sa siamang. Tsweetswee kwala nomore go tswa mo lenaaneng, kgotsa 00 go boela morago.",
+
+    "button.placeOrder": "Dira Taelo",
+    "button.viewOrderStatus": "Maemo a Taelo",
+    "button.more": "Tse Dingwe",
+    "button.medConsultation": "Therisano ya Kalafi",
+    "button.generalEnquiry": "Potso e Akaretsang",
+    "button.myTickets": "Dithekete Tsa Me",
+    "button.pharmacist": "Rakhemisi",
+    "button.doctor": "Ngaka",
+    "button.prescription": "Lekwalo la Ngaka",
+    "button.otc": "OTC",
+    "button.done": "Ke Feditse",
+    "button.addItem": "Tsenya Selo",
+    "button.removeItem": "Ntsha Selo",
+    "button.checkout": "Wetsa Taelo",
+    "button.prescriptionRefill": "Tlatsa Lekwalo",
+    "button.newPrescription": "Lekwalo le Lesha",
+    "button.principalMember": "Leloko le Legolo",
+    "button.dependant": "Yo o Tshegetswang",
+    "button.delivery": "Romelelwa",
+    "button.pickup": "Tla go Tsaya",
+    "button.work": "Kwa Tirong",
+    "button.home": "Kwa Gae",
+    "button.english": "English",
+    "button.setswana": "Setswana",
+    "button.confirm": "Netefatsa",
+    "button.edit": "Fetola",
+    "button.cancel": "Khansela",
+    "button.editMedication": "Melemo",
+    "button.editPatient": "Molwetse",
+    "button.editDelivery": "Dintlha tsa Romelo",
+    "button.addDependant": "Tsenya Motshegetswa",
+    "button.removeDependant": "Ntsha Motshegetswa",
+    "button.every30Days": "Malatsi a 30",
+    "button.every60Days": "Malatsi a 60",
+    "button.noThanks": "Nnyaa, ke a leboga",
+    "button.refill": "Tlatsa",
+    "button.skip": "Tlola",
+    "button.stop": "Emisa",
+    "button.taken": "Ke o Nwele",
+    "button.snooze": "Gopotsa Morago",
+    "button.notifyWhatsApp": "WhatsApp",
+    "button.notifySms": "SMS",
+    "button.notifyEmail": "Imeile",
+    "button.cancelOrder": "Khansela Taelo",
+    "button.changeDelivery": "Fetola Romelo",
+    "button.addNote": "Tsenya Molaetsa",
+    "button.confirmCancel": "Ee, Khansela Taelo",
+    "button.keepOrder": "Boloka Taelo",
+    "button.endChat": "Fetsa Puisano",
+  },
+};
+
+// Words that open the language choice from the main menu
+const LANGUAGE_COMMANDS = ["language", "puo"];
+
+// Words that open the dependants menu from the main menu
+const DEPENDANT_COMMANDS = ["dependants", "dependents", "batshegetswa"];
+
+// Words that open the notification settings from the main menu
+const NOTIFICATION_COMMANDS = ["notifications", "ditshiboso"];
+
+// Words that end a live chat, including the End Chat button in each language.
+// Live chat messages are relayed as typed, so buttons aren't mapped to English.
+const END_CHAT_COMMANDS = ["end chat", "end", "fetsa puisano", "fetsa"];
+
+function languageOf(user) {
+  const language = user?.preferences?.language;
+  return catalog[language] ? language : "English";
+}
+
+// Look up a message in the user's language and fill in its placeholders
+function t(user, key, params = {}) {
+  const text = catalog[languageOf(user)][key] ?? catalog.English[key];
+  if (text === undefined) {
+    throw new Error(`Missing message: ${key}`);
+  }
+  return text.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? String(params[name]) : match
+  );
+}
+
+// Button titles in the user's language
+function buttons(user, keys) {
+  return keys.map((key) => t(user, `button.${key}`));
+}
+
+// Button titles in any language, mapped to the English title the
+// conversation handlers match on
+const canonicalButtons = new Map();
+for (const language of LANGUAGES) {
+  for (const [key, text] of Object.entries(catalog[language])) {
+    if (key.startsWith("button.")) {
+      canonicalButtons.set(text.toLowerCase(), catalog.English[key]);
+    }
+  }
+}
+
+function canonicalButton(text) {
+  return canonicalButtons.get(String(text).trim().toLowerCase()) || null;
+}
+
+module.exports = {
+  LANGUAGES,
+  LANGUAGE_COMMANDS,
+  DEPENDANT_COMMANDS,
+  NOTIFICATION_COMMANDS,
+  END_CHAT_COMMANDS,
+  catalog,
+  t,
+  buttons,
+  canonicalButton,
+};
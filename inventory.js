@@ -0,0 +1,160 @@
+const { Inventory, ReorderAlert } = require("./models");
+
+class InsufficientStockError extends Error {
+  constructor(medicationName) {
+    super(`Insufficient stock for ${medicationName}`);
+    this.name = "InsufficientStockError";
+    this.medicationName = medicationName;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Find the best matching, unexpired inventory item for a medication name.
+// Exact name matches win over partial matches, then the item with most stock.
+async function findInventoryItem(name) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const notExpired = {
+    $or: [{ expiryDate: null }, { expiryDate: { $gt: new Date() } }],
+  };
+  const exact = new RegExp(`^${escapeRegExp(trimmed)}$`, "i");
+  const partial = new RegExp(escapeRegExp(trimmed), "i");
+
+  for (const pattern of [exact, partial]) {
+    const item = await Inventory.findOne({
+      $and: [
+        { $or: [{ medicationName: pattern }, { genericName: pattern }] },
+        notExpired,
+      ],
+    }).sort({ stockQuantity: -1 });
+    if (item) {
+      return item;
+    }
+  }
+  return null;
+}
+
+function availableQuantity(item) {
+  return item.stockQuantity - (item.reservedQuantity || 0);
+}
+
+// Open a reorder alert if available stock has dropped below the reorder level
+async function checkReorderLevel(item) {
+  if (
+    item.reorderLevel === undefined ||
+    item.reorderLevel === null ||
+    availableQuantity(item) >= item.reorderLevel
+  ) {
+    return;
+  }
+
+  try {
+    await ReorderAlert.findOneAndUpdate(
+      { inventoryItem: item._id, status: "OPEN" },
+      {
+        $set: {
+          medicationName: item.medicationName,
+          availableQuantity: availableQuantity(item),
+          reorderLevel: item.reorderLevel,
+        },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent update already opened the alert
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+}
+
+// Reserve stock for the medications on an order. Each item is reserved with a
+// conditional update so concurrent orders can never reserve more than is in
+// stock. If any item is short, earlier reservations are rolled back.
+async function reserveStock(medications) {
+  const reservations = [];
+
+  try {
+    for (const medication of medications) {
+      let inventoryId = medication.inventoryItem;
+      if (!inventoryId) {
+        const match = await findInventoryItem(medication.name);
+        if (!match) {
+          // Not a stocked product; the pharmacist handles it manually
+          continue;
+        }
+        inventoryId = match._id;
+      }
+
+      const quantity = medication.quantity || 1;
+      const item = await Inventory.findOneAndUpdate(
+        {
+          _id: inventoryId,
+          $expr: {
+            $gte: [
+              {
+                $subtract: [
+                  "$stockQuantity",
+                  { $ifNull: ["$reservedQuantity", 0] },
+                ],
+              },
+              quantity,
+            ],
+          },
+        },
+        { $inc: { reservedQuantity: quantity } },
+        { new: true }
+      );
+      if (!item) {
+        throw new InsufficientStockError(medication.name);
+      }
+
+      reservations.push({ inventoryItem: item._id, quantity });
+      await checkReorderLevel(item);
+    }
+  } catch (error) {
+    await releaseStock(reservations);
+    throw error;
+  }
+
+  return reservations;
+}
+
+// Take reserved stock out of inventory once the order has been handed over
+async function commitStock(reservations) {
+  for (const { inventoryItem, quantity } of reservations) {
+    const item = await Inventory.findByIdAndUpdate(
+      inventoryItem,
+      { $inc: { stockQuantity: -quantity, reservedQuantity: -quantity } },
+      { new: true }
+    );
+    if (item) {
+      await checkReorderLevel(item);
+    }
+  }
+}
+
+// Return reserved stock, e.g. when an order is cancelled
+async function releaseStock(reservations) {
+  for (const { inventoryItem, quantity } of reservations) {
+    await Inventory.updateOne(
+      { _id: inventoryItem },
+      { $inc: { reservedQuantity: -quantity } }
+    );
+  }
+}
+
+module.exports = {
+  InsufficientStockError,
+  findInventoryItem,
+  availableQuantity,
+  reserveStock,
+  commitStock,
+  releaseStock,
+};
@@ -0,0 +1,177 @@
+const fs = require("fs");
+const axios = require("axios");
+
+// Medical aid providers patients can register with. Only the names are built
+// in. The format of each provider's membership numbers and the schemes its
+// members can be on come from the JSON file at MEDICAL_AID_PROVIDERS_FILE,
+// which replaces the built-in list:
+//
+//   { "BOMAID": { "numberPattern": "^\\d{8}$", "schemes": ["..."] }, ... }
+//
+// Without a pattern any number is accepted, and without schemes patients type
+// their scheme in. Numbers are compared without spaces or dashes and in upper
+// case.
+const DEFAULT_MEDICAL_AID_PROVIDERS = {
+  BOMAID: {},
+  PULA: {},
+  BPOMAS: {},
+  BOTSOGO: {},
+};
+
+function loadProviderRules(file = process.env.MEDICAL_AID_PROVIDERS_FILE) {
+  const providers = file
+    ? JSON.parse(fs.readFileSync(file, "utf8"))
+    : DEFAULT_MEDICAL_AID_PROVIDERS;
+
+  return Object.fromEntries(
+    Object.entries(providers).map(([name, rules]) => [
+      name,
+      {
+        numberPattern: rules.numberPattern
+          ? new RegExp(rules.numberPattern)
+          : null,
+        schemes: rules.schemes || [],
+      },
+    ])
+  );
+}
+
+const MEDICAL_AID_PROVIDERS = loadProviderRules();
+const MEDICAL_AID_PROVIDER_NAMES = Object.keys(MEDICAL_AID_PROVIDERS);
+
+function normalizeMemberNumber(number) {
+  return String(number || "")
+    .replace(/[\s-]/g, "")
+    .toUpperCase();
+}
+
+function isValidMemberNumber(provider, number) {
+  const rules = MEDICAL_AID_PROVIDERS[provider];
+  return Boolean(
+    rules &&
+      (!rules.numberPattern ||
+        rules.numberPattern.test(normalizeMemberNumber(number)))
+  );
+}
+
+function providerSchemes(provider) {
+  return MEDICAL_AID_PROVIDERS[provider]?.schemes || [];
+}
+
+// Why the registered details can't be right, before asking the provider.
+// Registration accepts details that don't match the provider's rules, so
+// these end up with staff.
+function membershipProblem({ provider, memberNumber, scheme }) {
+  if (!MEDICAL_AID_PROVIDERS[provider]) {
+    return "No known medical aid provider on file";
+  }
+  if (!isValidMemberNumber(provider, memberNumber)) {
+    return `Medical aid number does not match the ${provider} format`;
+  }
+  const schemes = providerSchemes(provider);
+  if (schemes.length > 0 && !schemes.includes(scheme)) {
+    return `${scheme || "No scheme"} is not a ${provider} scheme`;
+  }
+  return null;
+}
+
+// Eligibility checkers take the member's details
+// ({ provider, memberNumber, scheme, dependentNumber, surname, dateOfBirth })
+// and return { status: "VERIFIED" } or { status: "NOT_VERIFIED", reason }.
+// They throw when the provider can't be asked.
+
+// Asks an eligibility service, e.g. a claims switch, over HTTP. It accepts
+// POST with the member's details and responds with { eligible, reason }.
+class HttpEligibilityChecker {
+  constructor({ url, apiKey }) {
+    this.url = url;
+    this.apiKey = apiKey;
+  }
+
+  async check(member) {
+    if (!this.url) {
+      throw new Error("MEDICAL_AID_ELIGIBILITY_URL is not set");
+    }
+
+    const response = await axios.post(this.url, member, {
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      timeout: 10000,
+    });
+    return response.data?.eligible
+      ? { status: "VERIFIED" }
+      : {
+          status: "NOT_VERIFIED",
+          reason: response.data?.reason || "Provider reported not eligible",
+        };
+  }
+}
+
+// Stands in for a provider integration: every member with well-formed
+// details is eligible, except numbers listed as ineligible, so the
+// unverified path can be tried out
+class LocalEligibilityChecker {
+  constructor({ ineligibleNumbers = [] } = {}) {
+    this.ineligibleNumbers = new Set(
+      ineligibleNumbers.map(normalizeMemberNumber)
+    );
+  }
+
+  async check(member) {
+    if (
+      this.ineligibleNumbers.has(normalizeMemberNumber(member.memberNumber))
+    ) {
+      return { status: "NOT_VERIFIED", reason: "Membership is not active" };
+    }
+    return { status: "VERIFIED" };
+  }
+}
+
+function createEligibilityChecker() {
+  switch (process.env.MEDICAL_AID_ELIGIBILITY_DRIVER || "local") {
+    case "local":
+      return new LocalEligibilityChecker({
+        ineligibleNumbers: (process.env.MEDICAL_AID_STUB_INELIGIBLE || "")
+          .split(",")
+          .filter(Boolean),
+      });
+    case "http":
+      return new HttpEligibilityChecker({
+        url: process.env.MEDICAL_AID_ELIGIBILITY_URL,
+        apiKey: process.env.MEDICAL_AID_ELIGIBILITY_API_KEY,
+      });
+    default:
+      throw new Error(
+        `Unknown eligibility driver: ${process.env.MEDICAL_AID_ELIGIBILITY_DRIVER}`
+      );
+  }
+}
+
+// Check a member's details and ask the provider whether they are covered.
+// Never throws: when the provider can't be reached the status is UNAVAILABLE.
+async function verifyMembership(checker, member) {
+  const checkedAt = new Date();
+  const problem = membershipProblem(member);
+  if (problem) {
+    return { status: "NOT_VERIFIED", reason: problem, checkedAt };
+  }
+
+  try {
+    return { ...(await checker.check(member)), checkedAt };
+  } catch (error) {
+    console.error("Error checking medical aid eligibility:", error.message);
+    return { status: "UNAVAILABLE", reason: error.message, checkedAt };
+  }
+}
+
+module.exports = {
+  MEDICAL_AID_PROVIDERS,
+  MEDICAL_AID_PROVIDER_NAMES,
+  loadProviderRules,
+  normalizeMemberNumber,
+  isValidMemberNumber,
+  providerSchemes,
+  HttpEligibilityChecker,
+  LocalEligibilityChecker,
+  createEligibilityChecker,
+  verifyMembership,
+};
@@ -0,0 +1,210 @@
+const { USER_SCHEMA_VERSION, User } = require("./models");
+const { normalizeMemberNumber, providerSchemes } = require("./membership");
+
+// Profile fields that the old registration flow kept in registrationData
+const REGISTRATION_FIELDS = [
+  "firstName",
+  "surname",
+  "dateOfBirth",
+  "gender",
+  "medicalAidProvider",
+  "medicalAidNumber",
+  "scheme",
+  "dependentNumber",
+];
+
+function parseLegacyDate(value) {
+  if (!value || value instanceof Date) {
+    return value || null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Registration used to keep its place as an index into its list of steps
+const LEGACY_REGISTRATION_STATES = [
+  "FIRST_NAME",
+  "SURNAME",
+  "DATE_OF_BIRTH",
+  "GENDER",
+  "MEDICAL_AID_PROVIDER",
+  "MEDICAL_AID_NUMBER",
+  "SCHEME",
+  "DEPENDENT_NUMBER",
+];
+
+// Schemes used to be typed in, so "pula plus" or "Pula-Plus" should match
+function comparableScheme(scheme) {
+  return String(scheme || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+// User document migrations, applied in order to raw documents. Each one takes
+// a document at version - 1 and returns it at `version`.
+const userMigrations = [
+  {
+    version: 1,
+    description:
+      "Move registrationStep/registrationData into conversationState and add defaults for the webhook user shape",
+    migrate(doc) {
+      const migrated = { ...doc };
+
+      if (
+        migrated.registrationData ||
+        migrated.registrationStep !== undefined
+      ) {
+        const registrationData = { ...(migrated.registrationData || {}) };
+        const remaining = {};
+        const collected = {};
+
+        for (const [field, value] of Object.entries(registrationData)) {
+          if (REGISTRATION_FIELDS.includes(field)) {
+            collected[field] =
+              field === "dateOfBirth" ? parseLegacyDate(value) : value;
+          } else {
+            remaining[field] = value;
+          }
+        }
+
+        if (migrated.isRegistrationComplete) {
+          // Fill in profile fields that were never copied out of the map
+          for (const [field, value] of Object.entries(collected)) {
+            if (migrated[field] === undefined || migrated[field] === null) {
+              migrated[field] = value;
+            }
+          }
+        } else if (!migrated.conversationState?.currentFlow) {
+          // registrationStep was 1-based, conversationState steps are 0-based
+          migrated.conversationState = {
+            currentFlow: "REGISTRATION",
+            currentStep: String(
+              Math.max((Number(migrated.registrationStep) || 1) - 1, 0)
+            ),
+            data: collected,
+            lastUpdated: new Date(),
+          };
+        }
+
+        delete migrated.registrationStep;
+        // Keep anything we don't know how to map rather than dropping it
+        if (Object.keys(remaining).length > 0) {
+          migrated.registrationData = remaining;
+        } else {
+          delete migrated.registrationData;
+        }
+      }
+
+      if (!migrated.conversationState) {
+        migrated.conversationState = {
+          currentFlow: migrated.isRegistrationComplete
+            ? "MAIN_MENU"
+            : "REGISTRATION",
+          currentStep: migrated.isRegistrationComplete ? null : "0",
+          data: {},
+          lastUpdated: new Date(),
+        };
+      }
+      migrated.addresses = {
+        home: migrated.addresses?.home ?? null,
+        work: migrated.addresses?.work ?? null,
+      };
+      if (migrated.gender === undefined) {
+        migrated.gender = null;
+      }
+
+      return migrated;
+    },
+  },
+  {
+    version: 2,
+    description:
+      "Normalize medical aid numbers and match typed schemes to the provider's scheme list",
+    migrate(doc) {
+      const migrated = { ...doc };
+
+      if (migrated.medicalAidNumber) {
+        migrated.medicalAidNumber = normalizeMemberNumber(
+          migrated.medicalAidNumber
+        );
+      }
+
+      // Patients whose scheme doesn't match are asked to pick it again
+      const schemes = providerSchemes(migrated.medicalAidProvider);
+      const scheme = schemes.find(
+        (known) => comparableScheme(known) === comparableScheme(migrated.scheme)
+      );
+      if (scheme) {
+        migrated.scheme = scheme;
+      }
+      migrated.schemeNeedsConfirmation = Boolean(
+        migrated.isRegistrationComplete && schemes.length > 0 && !scheme
+      );
+
+      return migrated;
+    },
+  },
+  {
+    version: 3,
+    description: "Name the registration step instead of numbering it",
+    migrate(doc) {
+      const migrated = { ...doc };
+      const state = migrated.conversationState;
+      if (
+        state?.currentFlow === "REGISTRATION" &&
+        /^\d+$/.test(String(state.currentStep))
+      ) {
+        migrated.conversationState = {
+          ...state,
+          currentStep: LEGACY_REGISTRATION_STATES[Number(state.currentStep)],
+        };
+      }
+      return migrated;
+    },
+  },
+];
+
+function migrateUserDocument(doc) {
+  let migrated = doc;
+  const fromVersion = doc.schemaVersion || 0;
+  for (const migration of userMigrations) {
+    if (migration.version > fromVersion) {
+      migrated = migration.migrate(migrated);
+      migrated.schemaVersion = migration.version;
+    }
+  }
+  return migrated;
+}
+
+// Bring every stored user up to USER_SCHEMA_VERSION. A document is only
+// replaced if its version is still the one that was read, so concurrent runs
+// never apply a migration twice.
+async function runUserMigrations() {
+  const cursor = User.collection.find({
+    $or: [
+      { schemaVersion: { $exists: false } },
+      { schemaVersion: { $lt: USER_SCHEMA_VERSION } },
+    ],
+  });
+
+  let migrated = 0;
+  for await (const doc of cursor) {
+    try {
+      const result = await User.collection.replaceOne(
+        { _id: doc._id, schemaVersion: doc.schemaVersion ?? null },
+        migrateUserDocument(doc)
+      );
+      migrated += result.modifiedCount;
+    } catch (error) {
+      console.error(`Error migrating user ${doc._id}:`, error);
+    }
+  }
+
+  if (migrated > 0) {
+    console.log(
+      `Migrated ${migrated} user(s) to schema version ${USER_SCHEMA_VERSION}`
+    );
+  }
+}
+
+module.exports = { userMigrations, migrateUserDocument, runUserMigrations };
@@ -1,5 +1,9 @@
 const mongoose = require("mongoose");
 
+// Current version of the User document shape. Bump this and add a
+// migration to migrations.js whenever the shape changes.
+const USER_SCHEMA_VERSION = 3;
+
 // User Schema
 const userSchema = new mongoose.Schema(
   {
@@ -7,13 +11,24 @@ const userSchema = new mongoose.Schema(
     firstName: { type: String, default: null },
     surname: { type: String, default: null },
     dateOfBirth: { type: Date, default: null },
+    gender: {
+      type: String,
+      enum: ["MALE", "FEMALE"],
+      default: null,
+    },
     medicalAidProvider: { type: String, default: null },
     medicalAidNumber: { type: String, default: null },
     scheme: { type: String, default: null },
+    // The scheme isn't one of the provider's; the patient is asked again
+    schemeNeedsConfirmation: { type: Boolean, default: false },
     dependentNumber: { type: String, default: null },
-    registrationStep: { type: Number, default: 1 },
     isRegistrationComplete: { type: Boolean, default: false },
     lastInteraction: { type: Date, default: Date.now },
+    addresses: {
+      home: { type: String, default: null },
+      work: { type: String, default: null },
+    },
+    email: { type: String, default: null, lowercase: true, trim: true },
     preferences: {
       notificationPreference: {
         type: String,
@@ -22,17 +37,461 @@ const userSchema = new mongoose.Schema(
       },
       language: { type: String, default: "English" },
     },
-    registrationData: {
-      type: Map,
-      of: String,
-      default: () => new Map(),
+    conversationState: {
+      currentFlow: { type: String, default: null },
+      currentStep: { type: String, default: null },
+      data: {
+        type: Map,
+        of: mongoose.Schema.Types.Mixed,
+        default: () => new Map(),
+      },
+      lastUpdated: { type: Date, default: Date.now },
+    },
+    // Channel of the user's latest message; replies go out on it
+    activeChannel: {
+      type: String,
+      enum: ["SMS", "WhatsApp", "Email"],
+      default: "WhatsApp",
+    },
+    // Reply buttons sent in our last turn, for numbered replies over SMS
+    menuOptions: { type: [String], default: [] },
+    // Version of the document shape, see migrations.js. There is deliberately
+    // no default so that unmigrated documents are never marked as current.
+    schemaVersion: { type: Number },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Dependant Schema (family members covered by a patient's medical aid)
+const dependantSchema = new mongoose.Schema(
+  {
+    principal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    firstName: { type: String, required: true, trim: true },
+    surname: { type: String, required: true, trim: true },
+    dateOfBirth: { type: Date, required: true },
+    // Dependent code on the principal member's medical aid, e.g. "01"
+    dependentNumber: { type: String, required: true, trim: true },
+    // Removed dependants are kept so past orders can still refer to them
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+// Order Schema
+const orderSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    orderNumber: { type: String, unique: true, required: true },
+    orderType: {
+      type: String,
+      enum: ["PRESCRIPTION_REFILL", "NEW_PRESCRIPTION", "OVER_THE_COUNTER"],
+      required: true,
+    },
+    medications: [
+      {
+        name: { type: String, required: true },
+        quantity: { type: Number, default: 1 },
+        instructions: { type: String },
+        inventoryItem: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Inventory",
+        },
+      },
+    ],
+    // References to files in prescription storage
+    prescriptionFiles: [
+      {
+        storageKey: { type: String, required: true },
+        checksum: { type: String, required: true },
+        contentType: String,
+        fileName: String,
+        size: Number,
+      },
+    ],
+    prescriptionText: { type: String }, // URL to stored image
+    forDependant: { type: Boolean, default: false },
+    dependant: { type: mongoose.Schema.Types.ObjectId, ref: "Dependant" },
+    // Copied from the dependant when the order is placed, so the order keeps
+    // the details it was claimed under
+    dependantDetails: {
+      firstName: { type: String },
+      lastName: { type: String },
+      dateOfBirth: { type: Date },
+      dependentNumber: { type: String },
+    },
+    deliveryMethod: {
+      type: String,
+      enum: ["DELIVERY", "PICKUP"],
+      required: true,
+    },
+    deliveryAddress: {
+      type: { type: String, enum: ["HOME", "WORK"] },
+      address: { type: String },
+    },
+    // Medical aid cover as checked when the order was placed. Orders that
+    // are not VERIFIED need staff to confirm payment.
+    membershipCheck: {
+      status: {
+        type: String,
+        enum: ["VERIFIED", "NOT_VERIFIED", "UNAVAILABLE"],
+      },
+      reason: String,
+      checkedAt: Date,
+    },
+    // For refills, the original prescription order being refilled
+    refillOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      index: true,
+    },
+    // Refill terms the pharmacist recorded on a prescription order
+    refillsAllowed: { type: Number, min: 0 },
+    refillIntervalDays: { type: Number, min: 0 },
+    prescriptionExpiresAt: Date,
+    // Refills outside the prescription's terms wait for a pharmacist
+    requiresReview: { type: Boolean, default: false },
+    reviewReasons: [
+      {
+        type: String,
+        enum: [
+          "NOT_VERIFIED",
+          "EXPIRED",
+          "NO_REFILL_TERMS",
+          "NO_REFILLS_LEFT",
+          "TOO_EARLY",
+          "NO_MEDICATIONS",
+        ],
+      },
+    ],
+    // Pharmacist who verified the prescription
+    verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+    verifiedAt: Date,
+    status: {
+      type: String,
+      enum: [
+        "PENDING",
+        "PROCESSING",
+        "READY_FOR_PICKUP",
+        "OUT_FOR_DELIVERY",
+        "DELIVERED",
+        "CANCELLED",
+      ],
+      default: "PENDING",
+    },
+    // Every status the order has been in, oldest first
+    statusHistory: [
+      {
+        status: { type: String, required: true },
+        timestamp: { type: Date, default: Date.now },
+        actorType: {
+          type: String,
+          enum: ["PATIENT", "STAFF", "SYSTEM"],
+          required: true,
+        },
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        staff: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+        reason: String,
+      },
+    ],
+    // Inventory held for this order while it is processed
+    stockReservations: [
+      {
+        inventoryItem: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Inventory",
+        },
+        quantity: { type: Number, required: true },
+      },
+    ],
+    stockStatus: {
+      type: String,
+      enum: ["NONE", "RESERVED", "COMMITTED", "RELEASED"],
+      default: "NONE",
+    },
+    // Notes the patient added for the pharmacist after ordering
+    patientNotes: [
+      {
+        body: { type: String, required: true },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Changes the patient made to the order from the chat
+    auditHistory: [
+      {
+        action: {
+          type: String,
+          enum: ["CANCEL", "CHANGE_DELIVERY", "ADD_NOTE"],
+          required: true,
+        },
+        actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        // { field: { from, to } }
+        changes: mongoose.Schema.Types.Mixed,
+        note: String,
+        timestamp: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// Refill Subscription Schema (recurring refills of a chronic prescription)
+const refillSubscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // The original prescription order each refill is copied from
+    prescriptionOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    intervalDays: { type: Number, required: true, min: 1 },
+    deliveryMethod: {
+      type: String,
+      enum: ["DELIVERY", "PICKUP"],
+      required: true,
+    },
+    deliveryAddress: {
+      type: { type: String, enum: ["HOME", "WORK"] },
+      address: { type: String },
+    },
+    status: {
+      type: String,
+      enum: ["ACTIVE", "STOPPED"],
+      default: "ACTIVE",
     },
+    nextDueAt: { type: Date, required: true },
+    // Last reminder for the upcoming refill, unset once the patient answers
+    reminderSentAt: Date,
+    lastOrder: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    stoppedAt: Date,
+  },
+  { timestamps: true }
+);
+
+refillSubscriptionSchema.index({ status: 1, nextDueAt: 1 });
+
+// Inventory Schema
+const inventorySchema = new mongoose.Schema(
+  {
+    medicationName: { type: String, required: true },
+    genericName: String,
+    category: String,
+    manufacturer: String,
+    stockQuantity: { type: Number, required: true },
+    // Units set aside for orders that are being processed
+    reservedQuantity: { type: Number, default: 0 },
+    unitPrice: { type: Number, required: true },
+    expiryDate: Date,
+    reorderLevel: Number,
   },
   {
     timestamps: true,
   }
 );
 
+// Reorder Alert Schema
+const reorderAlertSchema = new mongoose.Schema(
+  {
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      required: true,
+    },
+    medicationName: { type: String, required: true },
+    availableQuantity: { type: Number, required: true },
+    reorderLevel: { type: Number, required: true },
+    status: {
+      type: String,
+      enum: ["OPEN", "RESOLVED"],
+      default: "OPEN",
+    },
+    resolvedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Only one open alert per inventory item
+reorderAlertSchema.index(
+  { inventoryItem: 1 },
+  { unique: true, partialFilterExpression: { status: "OPEN" } }
+);
+
+// Medication Schedule Schema (when a patient should take one medication from
+// a verified prescription)
+const medicationScheduleSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    prescription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Prescription",
+      required: true,
+    },
+    medicationName: { type: String, required: true },
+    dosage: String,
+    // Local times of day as HH:MM
+    doseTimes: [{ type: String, required: true }],
+    startDate: { type: Date, required: true },
+    // No end date for ongoing medication
+    endDate: Date,
+    active: { type: Boolean, default: true },
+    // Doses have been created up to here
+    generatedUntil: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Dose Schema (one dose to remind the patient about, and their answer)
+const doseSchema = new mongoose.Schema(
+  {
+    schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MedicationSchedule",
+      required: true,
+    },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    medicationName: { type: String, required: true },
+    dosage: String,
+    scheduledAt: { type: Date, required: true },
+    // When the reminder goes out; moved on when the patient snoozes
+    remindAt: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ["SCHEDULED", "SENT", "TAKEN", "SKIPPED", "MISSED"],
+      default: "SCHEDULED",
+    },
+    snoozeCount: { type: Number, default: 0 },
+    sentAt: Date,
+    respondedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+doseSchema.index({ schedule: 1, scheduledAt: 1 }, { unique: true });
+doseSchema.index({ status: 1, remindAt: 1 });
+doseSchema.index({ user: 1, scheduledAt: 1 });
+
+// Counter Schema (atomic sequences, e.g. for order numbers)
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+// Inbound Message Schema (webhook messages waiting for or done processing)
+const inboundMessageSchema = new mongoose.Schema(
+  {
+    // Meta's message id, used to ignore retried deliveries
+    waMessageId: { type: String, unique: true, required: true },
+    from: { type: String, required: true },
+    sentAt: { type: Date, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: {
+      type: String,
+      enum: ["PENDING", "PROCESSING", "DONE", "FAILED"],
+      default: "PENDING",
+    },
+    error: String,
+    startedAt: Date,
+    processedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+inboundMessageSchema.index({ from: 1, status: 1, sentAt: 1 });
+// Meta stops retrying long before this, so older ids can be forgotten
+inboundMessageSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+
+// Outbound Message Schema (the send queue, and the delivery status of
+// messages once sent)
+const outboundMessageSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: ["WhatsApp", "SMS", "Email"],
+      default: "WhatsApp",
+    },
+    // Set once the provider accepts the message
+    providerMessageId: String,
+    // Phone number, or email address for the Email channel
+    to: { type: String, required: true },
+    body: String,
+    // What the channel's transport sends, e.g. a WhatsApp Cloud API request
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    // What the message was about, e.g. an order status notification
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    serviceRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ServiceRequest",
+    },
+    status: {
+      type: String,
+      enum: [
+        "QUEUED",
+        "SENDING",
+        "SENT",
+        "DELIVERED",
+        "READ",
+        "FAILED",
+        "DEAD_LETTER",
+      ],
+      default: "QUEUED",
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: Date,
+    lastError: String,
+    sentAt: Date,
+    statusHistory: [
+      {
+        status: { type: String, required: true },
+        timestamp: { type: Date, required: true },
+        error: mongoose.Schema.Types.Mixed,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+outboundMessageSchema.index(
+  { channel: 1, providerMessageId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { providerMessageId: { $exists: true } },
+  }
+);
+outboundMessageSchema.index({ order: 1 });
+outboundMessageSchema.index({ serviceRequest: 1 });
+outboundMessageSchema.index({ to: 1, createdAt: -1 });
+outboundMessageSchema.index({ status: 1, channel: 1, to: 1, createdAt: 1 });
+
 // Prescription Schema
 const prescriptionSchema = new mongoose.Schema(
   {
@@ -41,6 +500,8 @@ const prescriptionSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Order the prescription was sent in, if any
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
     prescriptionPhotoUrl: String,
     prescriptionText: String,
     medicationDetails: [
@@ -64,7 +525,9 @@ const prescriptionSchema = new mongoose.Schema(
       ],
       default: "Pending",
     },
-    verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // Pharmacist who verified the prescription
+    verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+    verifiedAt: Date,
     notes: String,
   },
   {
@@ -80,6 +543,7 @@ const serviceRequestSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    ticketNumber: { type: String, unique: true, required: true },
     serviceType: {
       type: String,
       enum: [
@@ -95,8 +559,24 @@ const serviceRequestSchema = new mongoose.Schema(
       enum: ["Pending", "Assigned", "In Progress", "Completed", "Cancelled"],
       default: "Pending",
     },
-    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
     notes: String,
+    // Conversation thread between the patient and staff
+    messages: [
+      {
+        sender: { type: String, enum: ["PATIENT", "STAFF"], required: true },
+        staff: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+        body: { type: String, required: true },
+        sentAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Live chat handoff between the patient and the assigned staff member
+    liveChat: {
+      active: { type: Boolean, default: false },
+      startedAt: Date,
+      endedAt: Date,
+      endedBy: { type: String, enum: ["PATIENT", "STAFF"] },
+    },
     priority: {
       type: String,
       enum: ["Low", "Medium", "High"],
@@ -112,10 +592,13 @@ const serviceRequestSchema = new mongoose.Schema(
 // Staff Schema
 const staffSchema = new mongoose.Schema(
   {
+    // WhatsApp user of the staff member, used for live chat relays
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return this.role !== "Admin";
+      },
     },
     role: {
       type: String,
@@ -123,35 +606,85 @@ const staffSchema = new mongoose.Schema(
       required: true,
     },
     specialization: String,
-    licenseNumber: { type: String, unique: true, required: true },
+    // Admins are not necessarily licensed practitioners
+    licenseNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+      required: function () {
+        return this.role !== "Admin";
+      },
+    },
     isAvailable: { type: Boolean, default: true },
+    // Login credentials for the staff API
+    email: { type: String, unique: true, required: true, lowercase: true },
+    passwordHash: { type: String, required: true, select: false },
+    isActive: { type: Boolean, default: true },
   },
   {
     timestamps: true,
   }
 );
 
-// Inventory Schema
-const inventorySchema = new mongoose.Schema(
+// Staff Session Schema (API tokens, stored hashed)
+const staffSessionSchema = new mongoose.Schema(
   {
-    medicationName: { type: String, required: true },
-    genericName: String,
-    category: String,
-    manufacturer: String,
-    stockQuantity: { type: Number, required: true },
-    unitPrice: { type: Number, required: true },
-    expiryDate: Date,
-    reorderLevel: Number,
+    tokenHash: { type: String, unique: true, required: true },
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+      required: true,
+    },
+    expiresAt: { type: Date, required: true },
   },
   {
     timestamps: true,
   }
 );
 
+// Let MongoDB remove expired sessions
+staffSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 const User = mongoose.model("User", userSchema);
+const Dependant = mongoose.model("Dependant", dependantSchema);
+const Order = mongoose.model("Order", orderSchema);
+const RefillSubscription = mongoose.model(
+  "RefillSubscription",
+  refillSubscriptionSchema
+);
+const Inventory = mongoose.model("Inventory", inventorySchema);
+const ReorderAlert = mongoose.model("ReorderAlert", reorderAlertSchema);
+const MedicationSchedule = mongoose.model(
+  "MedicationSchedule",
+  medicationScheduleSchema
+);
+const Dose = mongoose.model("Dose", doseSchema);
+const Counter = mongoose.model("Counter", counterSchema);
+const InboundMessage = mongoose.model("InboundMessage", inboundMessageSchema);
+const OutboundMessage = mongoose.model(
+  "OutboundMessage",
+  outboundMessageSchema
+);
 const Prescription = mongoose.model("Prescription", prescriptionSchema);
 const ServiceRequest = mongoose.model("ServiceRequest", serviceRequestSchema);
 const Staff = mongoose.model("Staff", staffSchema);
-const Inventory = mongoose.model("Inventory", inventorySchema);
+const StaffSession = mongoose.model("StaffSession", staffSessionSchema);
 
-module.exports = { User, Prescription, ServiceRequest, Staff, Inventory };
+module.exports = {
+  USER_SCHEMA_VERSION,
+  User,
+  Dependant,
+  Order,
+  RefillSubscription,
+  Counter,
+  InboundMessage,
+  OutboundMessage,
+  Prescription,
+  ServiceRequest,
+  Staff,
+  StaffSession,
+  Inventory,
+  ReorderAlert,
+  MedicationSchedule,
+  Dose,
+};
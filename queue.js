@@ -0,0 +1,350 @@
+const { InboundMessage, OutboundMessage } = require("./models");
+
+// Inbound webhook messages are stored before the webhook is acknowledged and
+// processed here afterwards. Messages from one phone number are handled one
+// at a time, in the order they were sent, so a user's fast replies can't race
+// each other. Runs inside the app process; only one instance should run.
+class InboundQueue {
+  constructor(handler) {
+    this.handler = handler;
+    // Phone number -> promise for the work currently queued for that number
+    this.chains = new Map();
+  }
+
+  // Store and schedule messages we have not seen before. Retried deliveries
+  // of a message are ignored.
+  async enqueue(messages) {
+    const senders = new Set();
+
+    try {
+      for (const message of messages) {
+        try {
+          await InboundMessage.create({
+            waMessageId: message.id,
+            from: message.from,
+            sentAt: message.timestamp
+              ? new Date(Number(message.timestamp) * 1000)
+              : new Date(),
+            payload: message,
+          });
+          senders.add(message.from);
+        } catch (error) {
+          // Already received, e.g. Meta retried the webhook
+          if (error.code !== 11000) {
+            throw error;
+          }
+        }
+      }
+    } finally {
+      // Process whatever was stored, even if a later message failed
+      for (const from of senders) {
+        this.schedule(from);
+      }
+    }
+  }
+
+  schedule(from) {
+    this.run(from, () => this.drain(from));
+  }
+
+  // Run `task` once the work queued for the phone number is done, and before
+  // anything queued after it. Work that doesn't come from a message, like a
+  // scheduled reminder, goes through here so it can't race the user's
+  // replies. Resolves with the task's result.
+  run(from, task) {
+    const previous = this.chains.get(from) || Promise.resolve();
+    const result = previous.then(task);
+    // A failed task doesn't hold up the messages behind it
+    const next = result.catch(() => {});
+    this.chains.set(from, next);
+    next.then(() => {
+      if (this.chains.get(from) === next) {
+        this.chains.delete(from);
+      }
+    });
+    return result;
+  }
+
+  // Process pending messages for one phone number, oldest first
+  async drain(from) {
+    try {
+      for (;;) {
+        const item = await InboundMessage.findOneAndUpdate(
+          { from, status: "PENDING" },
+          { $set: { status: "PROCESSING", startedAt: new Date() } },
+          { sort: { sentAt: 1, _id: 1 }, new: true }
+        );
+        if (!item) {
+          return;
+        }
+
+        try {
+          await this.handler(item.payload);
+          item.status = "DONE";
+        } catch (error) {
+          console.error(`Error processing message ${item.waMessageId}:`, error);
+          item.status = "FAILED";
+          item.error = error.message;
+        }
+        item.processedAt = new Date();
+        await item.save();
+      }
+    } catch (error) {
+      console.error(`Error draining inbound queue for ${from}:`, error);
+    }
+  }
+
+  // Resume after a restart. Messages that were mid-way through processing are
+  // not run again, since they may already have created orders or replies.
+  async recover() {
+    const interrupted = await InboundMessage.updateMany(
+      { status: "PROCESSING" },
+      {
+        $set: {
+          status: "FAILED",
+          error: "Interrupted by a restart",
+          processedAt: new Date(),
+        },
+      }
+    );
+    if (interrupted.modifiedCount > 0) {
+      console.warn(
+        `Marked ${interrupted.modifiedCount} interrupted inbound message(s) as failed`
+      );
+    }
+
+    const senders = await InboundMessage.distinct("from", {
+      status: "PENDING",
+    });
+    for (const from of senders) {
+      this.schedule(from);
+    }
+  }
+}
+
+// Thrown by transports. Transient errors (timeouts, rate limits, server errors)
+// are retried; anything else goes straight to the dead-letter queue.
+class DeliveryError extends Error {
+  constructor(message, { transient = false } = {}) {
+    super(message);
+    this.name = "DeliveryError";
+    this.transient = transient;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Sliding window limit on how many messages may be sent per key per window
+class RateLimiter {
+  constructor(limit, windowMs) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.sent = new Map();
+  }
+
+  // Milliseconds to wait before another message may be sent for `key`
+  delay(key) {
+    const now = Date.now();
+    const recent = (this.sent.get(key) || []).filter(
+      (time) => time > now - this.windowMs
+    );
+    this.sent.set(key, recent);
+    return recent.length < this.limit ? 0 : recent[0] + this.windowMs - now;
+  }
+
+  record(key) {
+    const recent = this.sent.get(key) || [];
+    recent.push(Date.now());
+    this.sent.set(key, recent);
+  }
+
+  async wait(key) {
+    for (let ms = this.delay(key); ms > 0; ms = this.delay(key)) {
+      await sleep(ms);
+    }
+    this.record(key);
+  }
+}
+
+// Outbound messages are stored in the OutboundMessage collection and sent
+// from here through the transport for their channel. Messages to one
+// recipient go out in the order they were queued; transient failures are
+// retried with exponential backoff and permanent failures are moved to the
+// dead-letter queue (status DEAD_LETTER).
+class OutboundQueue {
+  constructor(transports, options = {}) {
+    this.transports = transports;
+    this.maxAttempts = options.maxAttempts || 6;
+    this.baseDelayMs = options.baseDelayMs || 2000;
+    this.maxDelayMs = options.maxDelayMs || 10 * 60 * 1000;
+    // Messages to one recipient, and across all recipients on a channel
+    this.recipientLimiter = new RateLimiter(
+      options.perRecipientPerMinute || 20,
+      60 * 1000
+    );
+    this.globalLimiter = new RateLimiter(options.perSecond || 50, 1000);
+    this.chains = new Map();
+    this.metrics = { sent: 0, retried: 0, deadLettered: 0 };
+  }
+
+  async enqueue(channel, to, payload, fields = {}) {
+    if (!this.transports[channel]) {
+      throw new Error(`Unknown channel: ${channel}`);
+    }
+    await OutboundMessage.create({
+      ...fields,
+      channel,
+      to,
+      payload,
+      status: "QUEUED",
+      nextAttemptAt: new Date(),
+    });
+    this.schedule(channel, to);
+  }
+
+  schedule(channel, to) {
+    const key = `${channel}:${to}`;
+    const previous = this.chains.get(key) || Promise.resolve();
+    const next = previous.then(() => this.drain(channel, to));
+    this.chains.set(key, next);
+    next.then(() => {
+      if (this.chains.get(key) === next) {
+        this.chains.delete(key);
+      }
+    });
+  }
+
+  backoff(attempts) {
+    const delay = Math.min(
+      this.baseDelayMs * 2 ** (attempts - 1),
+      this.maxDelayMs
+    );
+    // Jitter so retries after an outage don't all fire at once
+    return delay / 2 + Math.random() * (delay / 2);
+  }
+
+  // Send queued messages for one recipient, oldest first. A message waiting
+  // for a retry holds back the ones after it.
+  async drain(channel, to) {
+    try {
+      for (;;) {
+        const item = await OutboundMessage.findOne({
+          channel,
+          to,
+          status: "QUEUED",
+        }).sort({ createdAt: 1, _id: 1 });
+        if (!item) {
+          return;
+        }
+
+        const waitMs = item.nextAttemptAt - Date.now();
+        if (waitMs > 0) {
+          await sleep(waitMs);
+          continue;
+        }
+
+        await this.recipientLimiter.wait(`${channel}:${to}`);
+        await this.globalLimiter.wait(channel);
+        await this.attempt(item);
+      }
+    } catch (error) {
+      console.error(
+        `Error draining outbound ${channel} queue for ${to}:`,
+        error
+      );
+    }
+  }
+
+  async attempt(item) {
+    item.status = "SENDING";
+    item.attempts += 1;
+    await item.save();
+
+    try {
+      const providerMessageId = await this.transports[item.channel].send(
+        item.to,
+        item.payload
+      );
+      item.status = "SENT";
+      item.providerMessageId = providerMessageId || undefined;
+      item.sentAt = new Date();
+      item.lastError = undefined;
+      item.statusHistory.push({ status: "SENT", timestamp: item.sentAt });
+      this.metrics.sent += 1;
+    } catch (error) {
+      item.lastError = error.message;
+      const transient = !(error instanceof DeliveryError) || error.transient;
+
+      if (transient && item.attempts < this.maxAttempts) {
+        item.status = "QUEUED";
+        item.nextAttemptAt = new Date(Date.now() + this.backoff(item.attempts));
+        this.metrics.retried += 1;
+      } else {
+        item.status = "DEAD_LETTER";
+        this.metrics.deadLettered += 1;
+        console.error(
+          `Outbound message ${item._id} to ${item.to} moved to the dead-letter queue:`,
+          error.message
+        );
+      }
+    }
+    await item.save();
+  }
+
+  // Move a dead-lettered message back onto the queue
+  async retry(id) {
+    const item = await OutboundMessage.findOneAndUpdate(
+      { _id: id, status: "DEAD_LETTER" },
+      {
+        $set: { status: "QUEUED", attempts: 0, nextAttemptAt: new Date() },
+      },
+      { new: true }
+    );
+    if (item) {
+      this.schedule(item.channel, item.to);
+    }
+    return item;
+  }
+
+  // Resume after a restart. A message that was being sent may or may not
+  // have gone out; sending it again is better than losing it.
+  async recover() {
+    await OutboundMessage.updateMany(
+      { status: "SENDING" },
+      { $set: { status: "QUEUED" } }
+    );
+    const recipients = await OutboundMessage.aggregate([
+      { $match: { status: "QUEUED" } },
+      { $group: { _id: { channel: "$channel", to: "$to" } } },
+    ]);
+    for (const { _id } of recipients) {
+      this.schedule(_id.channel, _id.to);
+    }
+  }
+
+  // Counts by status from the database plus counters since startup
+  async getMetrics() {
+    const counts = await OutboundMessage.aggregate([
+      {
+        $group: {
+          _id: { channel: "$channel", status: "$status" },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+    const byChannel = {};
+    for (const { _id, count } of counts) {
+      byChannel[_id.channel] = byChannel[_id.channel] || {};
+      byChannel[_id.channel][_id.status] = count;
+    }
+    return {
+      byChannel,
+      sinceStartup: { ...this.metrics },
+      activeRecipients: this.chains.size,
+    };
+  }
+}
+
+module.exports = { InboundQueue, OutboundQueue, DeliveryError };
@@ -0,0 +1,227 @@
+const { Order, Prescription, RefillSubscription } = require("./models");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when the pharmacist hasn't recorded refill terms on the prescription
+const PRESCRIPTION_VALIDITY_DAYS =
+  Number(process.env.PRESCRIPTION_VALIDITY_DAYS) || 180;
+const MIN_REFILL_INTERVAL_DAYS =
+  Number(process.env.MIN_REFILL_INTERVAL_DAYS) || 21;
+
+// Subscription reminders start this many days before a refill is due and are
+// repeated daily until the patient answers or the refill is this many days
+// overdue, when it is skipped
+const REFILL_REMINDER_LEAD_DAYS =
+  Number(process.env.REFILL_REMINDER_LEAD_DAYS) || 3;
+const REFILL_REMINDER_GRACE_DAYS =
+  Number(process.env.REFILL_REMINDER_GRACE_DAYS) || 7;
+
+// Stands in for the medications on a prescription order until a pharmacist
+// records them
+const UNSPECIFIED_MEDICATION = "To be specified";
+
+// A refill of a refill still belongs to the original prescription order
+async function findPrescriptionOrder(order) {
+  if (order.orderType !== "PRESCRIPTION_REFILL" || !order.refillOf) {
+    return order;
+  }
+  return Order.findById(order.refillOf);
+}
+
+function prescriptionExpiry(prescription) {
+  if (prescription.prescriptionExpiresAt) {
+    return prescription.prescriptionExpiresAt;
+  }
+  const issued = prescription.verifiedAt || prescription.createdAt;
+  return new Date(issued.getTime() + PRESCRIPTION_VALIDITY_DAYS * DAY_MS);
+}
+
+// Reasons a refill of the prescription needs a pharmacist's review before it
+// is processed. Empty when the refill is within the prescription's terms.
+async function refillReviewReasons(prescription, now = new Date()) {
+  const reasons = [];
+
+  if (!prescription.verifiedAt) {
+    reasons.push("NOT_VERIFIED");
+  }
+  if (now > prescriptionExpiry(prescription)) {
+    reasons.push("EXPIRED");
+  }
+
+  const refills = await Order.find({
+    refillOf: prescription._id,
+    status: { $ne: "CANCELLED" },
+  }).select("createdAt");
+
+  if (prescription.refillsAllowed == null) {
+    reasons.push("NO_REFILL_TERMS");
+  } else if (refills.length >= prescription.refillsAllowed) {
+    reasons.push("NO_REFILLS_LEFT");
+  }
+
+  const lastFilled = Math.max(
+    prescription.createdAt.getTime(),
+    ...refills.map((refill) => refill.createdAt.getTime())
+  );
+  const intervalDays =
+    prescription.refillIntervalDays ?? MIN_REFILL_INTERVAL_DAYS;
+  if (now.getTime() < lastFilled + intervalDays * DAY_MS) {
+    reasons.push("TOO_EARLY");
+  }
+
+  return reasons;
+}
+
+// Medications to refill: those the pharmacist recorded on the verified
+// prescription for the order, or else any named on the order itself. Empty
+// when neither says what was prescribed.
+async function refillMedications(prescriptionOrder) {
+  const prescription = await Prescription.findOne({
+    order: prescriptionOrder._id,
+    verifiedAt: { $ne: null },
+    status: { $ne: "Cancelled" },
+  }).sort({ verifiedAt: -1 });
+
+  if (prescription) {
+    return prescription.medicationDetails
+      .filter((medication) => medication.name)
+      .map((medication) => ({
+        name: medication.name,
+        instructions:
+          [medication.dosage, medication.frequency]
+            .filter(Boolean)
+            .join(", ") || undefined,
+      }));
+  }
+  return prescriptionOrder.medications
+    .filter((medication) => medication.name !== UNSPECIFIED_MEDICATION)
+    .map((medication) => ({
+      name: medication.name,
+      quantity: medication.quantity,
+      instructions: medication.instructions,
+      inventoryItem: medication.inventoryItem,
+    }));
+}
+
+// Order fields for a refill of `source`: the prescribed medications, the
+// prescription and the dependant, linked back to the prescription order
+async function buildRefillOrder(source) {
+  const prescription = await findPrescriptionOrder(source);
+  if (!prescription) {
+    throw new Error(`Prescription order ${source.refillOf} not found`);
+  }
+
+  const reviewReasons = await refillReviewReasons(prescription);
+  const medications = await refillMedications(prescription);
+  if (medications.length === 0) {
+    reviewReasons.push("NO_MEDICATIONS");
+  }
+
+  const refill = {
+    orderType: "PRESCRIPTION_REFILL",
+    refillOf: prescription._id,
+    medications,
+    prescriptionFiles: prescription.prescriptionFiles.map((file) => ({
+      storageKey: file.storageKey,
+      checksum: file.checksum,
+      contentType: file.contentType,
+      fileName: file.fileName,
+      size: file.size,
+    })),
+    prescriptionText: prescription.prescriptionText,
+    requiresReview: reviewReasons.length > 0,
+    reviewReasons,
+  };
+
+  if (prescription.forDependant) {
+    refill.forDependant = true;
+    refill.dependant = prescription.dependant;
+    refill.dependantDetails = {
+      firstName: prescription.dependantDetails?.firstName,
+      lastName: prescription.dependantDetails?.lastName,
+      dateOfBirth: prescription.dependantDetails?.dateOfBirth,
+      dependentNumber: prescription.dependantDetails?.dependentNumber,
+    };
+  }
+
+  return refill;
+}
+
+// Start recurring refills of the prescription `order` was placed under, or
+// change the interval of an existing subscription. The first refill is due
+// one interval after the order.
+async function subscribeToRefills(order, intervalDays) {
+  const prescription = await findPrescriptionOrder(order);
+  return RefillSubscription.findOneAndUpdate(
+    { user: order.user, prescriptionOrder: prescription._id, status: "ACTIVE" },
+    {
+      $set: {
+        intervalDays,
+        deliveryMethod: order.deliveryMethod,
+        deliveryAddress: {
+          type: order.deliveryAddress?.type,
+          address: order.deliveryAddress?.address,
+        },
+        nextDueAt: new Date(order.createdAt.getTime() + intervalDays * DAY_MS),
+      },
+      $unset: { reminderSentAt: "" },
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+}
+
+async function hasActiveSubscription(order) {
+  return RefillSubscription.exists({
+    user: order.user,
+    prescriptionOrder: order.refillOf || order._id,
+    status: "ACTIVE",
+  });
+}
+
+// Active subscriptions with a refill coming up that haven't had a reminder in
+// the last day
+function dueReminderFilter(now = new Date()) {
+  return {
+    status: "ACTIVE",
+    nextDueAt: {
+      $lte: new Date(now.getTime() + REFILL_REMINDER_LEAD_DAYS * DAY_MS),
+    },
+    $or: [
+      { reminderSentAt: null },
+      { reminderSentAt: { $lt: new Date(now.getTime() - DAY_MS) } },
+    ],
+  };
+}
+
+function isRefillMissed(subscription, now = new Date()) {
+  return (
+    now.getTime() >
+    subscription.nextDueAt.getTime() + REFILL_REMINDER_GRACE_DAYS * DAY_MS
+  );
+}
+
+// Move a subscription on to its next refill. Refills stay on their original
+// schedule unless so many were missed that the next one is already past.
+function advanceSubscription(subscription, now = new Date()) {
+  const interval = subscription.intervalDays * DAY_MS;
+  let next = subscription.nextDueAt.getTime() + interval;
+  if (next < now.getTime()) {
+    next = now.getTime() + interval;
+  }
+  subscription.nextDueAt = new Date(next);
+  subscription.reminderSentAt = undefined;
+}
+
+module.exports = {
+  UNSPECIFIED_MEDICATION,
+  findPrescriptionOrder,
+  prescriptionExpiry,
+  refillReviewReasons,
+  refillMedications,
+  buildRefillOrder,
+  subscribeToRefills,
+  hasActiveSubscription,
+  dueReminderFilter,
+  isRefillMissed,
+  advanceSubscription,
+};
@@ -0,0 +1,144 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+// Stores files on the local filesystem under STORAGE_LOCAL_DIR
+class LocalStorage {
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, data) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, data);
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, etc.)
+class S3Storage {
+  constructor({ bucket, endpoint, region, accessKeyId, secretAccessKey }) {
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region: region || "us-east-1",
+      endpoint: endpoint || undefined,
+      // Custom endpoints such as MinIO only support path-style URLs
+      forcePathStyle: Boolean(endpoint),
+      credentials:
+        accessKeyId && secretAccessKey
+          ? { accessKeyId, secretAccessKey }
+          : undefined,
+    });
+  }
+
+  async put(key, data, contentType) {
+    await this.client.send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: data,
+        ContentType: contentType,
+      })
+    );
+  }
+
+  async get(key) {
+    const response = await this.client.send(
+      new GetObjectCommand({ Bucket: this.bucket, Key: key })
+    );
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async delete(key) {
+    await this.client.send(
+      new DeleteObjectCommand({ Bucket: this.bucket, Key: key })
+    );
+  }
+}
+
+function createStorage() {
+  switch (process.env.STORAGE_DRIVER || "local") {
+    case "local":
+      return new LocalStorage(process.env.STORAGE_LOCAL_DIR || "./uploads");
+    case "s3":
+      return new S3Storage({
+        bucket: process.env.S3_BUCKET,
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${process.env.STORAGE_DRIVER}`);
+  }
+}
+
+function checksum(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+// Signed, expiring URLs for reading stored files
+function getFileUrlSecret() {
+  if (!process.env.FILE_URL_SECRET) {
+    throw new Error("FILE_URL_SECRET is not set");
+  }
+  return process.env.FILE_URL_SECRET;
+}
+
+function signFileUrl(resourcePath, ttlSeconds = 300) {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const signature = crypto
+    .createHmac("sha256", getFileUrlSecret())
+    .update(`${resourcePath}:${expires}`)
+    .digest("hex");
+  return {
+    url: `${resourcePath}?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000),
+  };
+}
+
+function verifyFileUrl(resourcePath, expires, signature) {
+  if (!expires || !signature || Number(expires) * 1000 < Date.now()) {
+    return false;
+  }
+  const expected = crypto
+    .createHmac("sha256", getFileUrlSecret())
+    .update(`${resourcePath}:${expires}`)
+    .digest();
+  const actual = Buffer.from(String(signature), "hex");
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+}
+
+module.exports = {
+  LocalStorage,
+  S3Storage,
+  createStorage,
+  checksum,
+  signFileUrl,
+  verifyFileUrl,
+};
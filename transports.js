@@ -0,0 +1,211 @@
+const axios = require("axios");
+const nodemailer = require("nodemailer");
+const { DeliveryError } = require("./queue");
+
+// Each transport turns a message and optional reply buttons into a payload
+// for its channel (render) and delivers payloads (send). send returns the
+// provider's message id and throws DeliveryError on failure. render also
+// gets the line that ends a numbered menu, in the user's language.
+
+// Buttons become a numbered list on channels without interactive messages,
+// followed by `footer` telling the user to reply with a number. Replies are
+// mapped back with menuOptionFromReply.
+function renderMenu(message, buttons, footer) {
+  if (!buttons || buttons.length === 0) {
+    return message;
+  }
+  const options = buttons.map((button, index) => `${index + 1}. ${button}`);
+  return `${message}\n\n${options.join("\n")}\n\n${footer}`;
+}
+
+function menuOptionFromReply(reply, options) {
+  const index = /^\s*\d+\s*$/.test(reply) ? parseInt(reply) - 1 : -1;
+  return options && index >= 0 && index < options.length
+    ? options[index]
+    : null;
+}
+
+// Network errors, rate limits and server errors are worth retrying
+function isTransientHttpError(error) {
+  const status = error.response?.status;
+  return !error.response || status === 429 || status >= 500;
+}
+
+// Graph API error codes worth retrying: rate limits and temporary outages
+const TRANSIENT_WHATSAPP_ERROR_CODES = [
+  1, 2, 4, 80007, 130429, 131000, 131016, 131056, 133004,
+];
+
+class WhatsAppTransport {
+  constructor({ apiUrl, phoneNumberId, accessToken }) {
+    this.url = `${apiUrl}/${phoneNumberId}/messages`;
+    this.accessToken = accessToken;
+  }
+
+  render(to, message, buttons) {
+    if (!buttons) {
+      return {
+        messaging_product: "whatsapp",
+        recipient_type: "individual",
+        to: to,
+        type: "text",
+        text: { body: message },
+      };
+    }
+
+    return {
+      messaging_product: "whatsapp",
+      recipient_type: "individual",
+      to: to,
+      type: "interactive",
+      interactive: {
+        type: "button",
+        body: { text: message },
+        action: {
+          buttons: buttons.map((button, index) => ({
+            type: "reply",
+            reply: {
+              id: `button_${index + 1}`,
+              title: button,
+            },
+          })),
+        },
+      },
+    };
+  }
+
+  async send(to, payload) {
+    try {
+      const response = await axios.post(this.url, payload, {
+        headers: {
+          Authorization: `Bearer ${this.accessToken}`,
+          "Content-Type": "application/json",
+        },
+        timeout: 15000,
+      });
+      return response.data?.messages?.[0]?.id;
+    } catch (error) {
+      const apiError = error.response?.data?.error;
+      throw new DeliveryError(apiError?.message || error.message, {
+        transient:
+          isTransientHttpError(error) ||
+          TRANSIENT_WHATSAPP_ERROR_CODES.includes(apiError?.code),
+      });
+    }
+  }
+}
+
+// Sends SMS through an HTTP gateway that accepts
+// POST { to, from, message } and responds with { id }
+class SmsTransport {
+  constructor({ gatewayUrl, apiKey, senderId }) {
+    this.gatewayUrl = gatewayUrl;
+    this.apiKey = apiKey;
+    this.senderId = senderId;
+  }
+
+  render(to, message, buttons, footer) {
+    return { text: renderMenu(message, buttons, footer) };
+  }
+
+  async send(to, payload) {
+    if (!this.gatewayUrl) {
+      throw new DeliveryError("SMS_GATEWAY_URL is not set");
+    }
+
+    try {
+      const response = await axios.post(
+        this.gatewayUrl,
+        {
+          to: to.startsWith("+") ? to : `+${to}`,
+          from: this.senderId,
+          message: payload.text,
+        },
+        {
+          headers: this.apiKey
+            ? { Authorization: `Bearer ${this.apiKey}` }
+            : {},
+          timeout: 15000,
+        }
+      );
+      return response.data?.id;
+    } catch (error) {
+      throw new DeliveryError(error.response?.data?.error || error.message, {
+        transient: isTransientHttpError(error),
+      });
+    }
+  }
+}
+
+class EmailTransport {
+  constructor({ host, port, secure, user, password, from }) {
+    this.host = host;
+    this.from = from;
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined,
+    });
+  }
+
+  render(to, message, buttons, footer) {
+    return {
+      subject: "Telepharma Botswana",
+      text: renderMenu(message, buttons, footer),
+    };
+  }
+
+  async send(to, payload) {
+    if (!this.host) {
+      throw new DeliveryError("SMTP_HOST is not set");
+    }
+
+    try {
+      const info = await this.transporter.sendMail({
+        from: this.from,
+        to,
+        subject: payload.subject,
+        text: payload.text,
+      });
+      return info.messageId;
+    } catch (error) {
+      // 5xx SMTP replies are permanent (e.g. unknown mailbox)
+      throw new DeliveryError(error.message, {
+        transient: !(error.responseCode >= 500),
+      });
+    }
+  }
+}
+
+function createTransports() {
+  return {
+    WhatsApp: new WhatsAppTransport({
+      apiUrl: "https://graph.facebook.com/v18.0",
+      phoneNumberId: process.env.WHATSAPP_CLOUD_API_FROM_PHONE_NUMBER_ID,
+      accessToken: process.env.WHATSAPP_CLOUD_API_ACCESS_TOKEN,
+    }),
+    SMS: new SmsTransport({
+      gatewayUrl: process.env.SMS_GATEWAY_URL,
+      apiKey: process.env.SMS_GATEWAY_API_KEY,
+      senderId: process.env.SMS_SENDER_ID,
+    }),
+    Email: new EmailTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD,
+      from: process.env.EMAIL_FROM,
+    }),
+  };
+}
+
+module.exports = {
+  WhatsAppTransport,
+  SmsTransport,
+  EmailTransport,
+  createTransports,
+  renderMenu,
+  menuOptionFromReply,
+};
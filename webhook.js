@@ -0,0 +1,220 @@
+const crypto = require("crypto");
+
+// Check Meta's X-Hub-Signature-256 header, an HMAC-SHA256 of the raw request
+// body keyed with the app secret
+function verifySignature(rawBody, signatureHeader, appSecret) {
+  if (!rawBody || !signatureHeader || !appSecret) {
+    return false;
+  }
+
+  const [algorithm, signature] = String(signatureHeader).split("=");
+  if (algorithm !== "sha256" || !/^[0-9a-f]{64}$/i.test(signature || "")) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac("sha256", appSecret)
+    .update(rawBody)
+    .digest();
+  return crypto.timingSafeEqual(Buffer.from(signature, "hex"), expected);
+}
+
+// Compare a shared token, e.g. from an SMS gateway, in constant time
+function verifyToken(token, expected) {
+  if (!token || !expected) {
+    return false;
+  }
+  const actual = Buffer.from(String(token));
+  const wanted = Buffer.from(expected);
+  return (
+    actual.length === wanted.length && crypto.timingSafeEqual(actual, wanted)
+  );
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isString(value) {
+  return typeof value === "string";
+}
+
+function validateMessage(message, path, errors) {
+  if (!isObject(message)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (!isString(message.from) || !/^\d+$/.test(message.from)) {
+    errors.push(`${path}.from must be a phone number`);
+  }
+  if (!isString(message.id)) {
+    errors.push(`${path}.id must be a string`);
+  }
+  if (!isString(message.type)) {
+    errors.push(`${path}.type must be a string`);
+    return;
+  }
+
+  switch (message.type) {
+    case "text":
+      if (!isObject(message.text) || !isString(message.text.body)) {
+        errors.push(`${path}.text.body must be a string`);
+      }
+      break;
+    case "interactive": {
+      const reply =
+        message.interactive?.button_reply || message.interactive?.list_reply;
+      if (!isObject(reply) || !isString(reply.title)) {
+        errors.push(`${path}.interactive reply must have a title`);
+      }
+      break;
+    }
+    case "image":
+    case "document":
+      if (
+        !isObject(message[message.type]) ||
+        !isString(message[message.type].id)
+      ) {
+        errors.push(`${path}.${message.type}.id must be a string`);
+      }
+      break;
+  }
+}
+
+function validateStatus(status, path, errors) {
+  if (!isObject(status)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (!isString(status.id)) {
+    errors.push(`${path}.id must be a string`);
+  }
+  if (!isString(status.status)) {
+    errors.push(`${path}.status must be a string`);
+  }
+}
+
+// Validate the shape of a WhatsApp Business Account webhook payload. Returns
+// a list of problems, empty if the payload is usable.
+function validatePayload(body) {
+  const errors = [];
+
+  if (!isObject(body)) {
+    return ["body must be an object"];
+  }
+  if (body.object !== "whatsapp_business_account") {
+    errors.push("object must be whatsapp_business_account");
+  }
+  if (!Array.isArray(body.entry)) {
+    errors.push("entry must be an array");
+    return errors;
+  }
+
+  body.entry.forEach((entry, entryIndex) => {
+    const entryPath = `entry[${entryIndex}]`;
+    if (!isObject(entry) || !Array.isArray(entry.changes)) {
+      errors.push(`${entryPath}.changes must be an array`);
+      return;
+    }
+
+    entry.changes.forEach((change, changeIndex) => {
+      const changePath = `${entryPath}.changes[${changeIndex}]`;
+      if (!isObject(change) || !isObject(change.value)) {
+        errors.push(`${changePath}.value must be an object`);
+        return;
+      }
+
+      const { messages, statuses } = change.value;
+      if (messages !== undefined) {
+        if (!Array.isArray(messages)) {
+          errors.push(`${changePath}.value.messages must be an array`);
+        } else {
+          messages.forEach((message, index) =>
+            validateMessage(
+              message,
+              `${changePath}.value.messages[${index}]`,
+              errors
+            )
+          );
+        }
+      }
+      if (statuses !== undefined) {
+        if (!Array.isArray(statuses)) {
+          errors.push(`${changePath}.value.statuses must be an array`);
+        } else {
+          statuses.forEach((status, index) =>
+            validateStatus(
+              status,
+              `${changePath}.value.statuses[${index}]`,
+              errors
+            )
+          );
+        }
+      }
+    });
+  });
+
+  return errors;
+}
+
+// Validate an inbound SMS from the gateway: { id, from, text, timestamp }.
+// The timestamp is optional and in Unix seconds, like Meta's.
+function validateSmsPayload(body) {
+  const errors = [];
+  if (!isObject(body)) {
+    return ["body must be an object"];
+  }
+  if (!isString(body.id) || !body.id) {
+    errors.push("id must be a string");
+  }
+  if (!isString(body.from) || !/^\+?\d+$/.test(body.from)) {
+    errors.push("from must be a phone number");
+  }
+  if (!isString(body.text)) {
+    errors.push("text must be a string");
+  }
+  if (body.timestamp !== undefined && !/^\d+$/.test(String(body.timestamp))) {
+    errors.push("timestamp must be Unix seconds");
+  }
+  return errors;
+}
+
+// Collect every message and status event from a validated payload. Meta may
+// batch several entries, changes and messages into one delivery.
+function collectEvents(body) {
+  const messages = [];
+  const statuses = [];
+
+  for (const entry of body.entry) {
+    for (const change of entry.changes) {
+      messages.push(...(change.value.messages || []));
+      statuses.push(...(change.value.statuses || []));
+    }
+  }
+
+  return { messages, statuses };
+}
+
+// Log rejected webhook requests as one JSON line so they can be searched
+function logRejectedWebhook(req, reason, details = {}) {
+  console.warn(
+    JSON.stringify({
+      event: "webhook_rejected",
+      reason,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+      hasSignature: Boolean(req.get("X-Hub-Signature-256")),
+      timestamp: new Date().toISOString(),
+      ...details,
+    })
+  );
+}
+
+module.exports = {
+  verifySignature,
+  verifyToken,
+  validatePayload,
+  validateSmsPayload,
+  collectEvents,
+  logRejectedWebhook,
+};